@@ -1,21 +1,59 @@
 /**
  * Main app — navigation, file import, IndexedDB storage.
  */
-import { extractDiveFromBuffer, formatDuration, formatDate } from './dive-data.js';
-import { renderCharts, destroyCharts } from './charts.js';
+import {
+  extractDivesFromBuffer, extractDiveFromBuffer, sameDive,
+  formatDuration, formatDate, formatSurfaceInterval, formatGas, formatPosition, escapeHtml,
+} from './dive-data.js';
+import { renderCharts, destroyCharts, renderShareImage } from './charts.js';
+import { FitParseError } from './fit-parser.js';
+import { isZip, readZip } from './zip.js';
+import {
+  IMPORT_EXTENSIONS, parseImportFile, exportUddf, exportSubsurface, exportFileName,
+} from './interchange.js';
+import { carryUserFields, findDuplicateGroups } from './duplicates.js';
+import { computeConsumption, hasTankPressures } from './consumption.js';
+import { filterDives, sortDives, filterOptions } from './filters.js';
+import { renderPrintPages, buildLogbookPdf } from './logbook-print.js';
+import { renderCompare, destroyCompareCharts, resetCompareZoom } from './compare.js';
+import { analyzeAscent, loadAscentPolicy, scoreLevel } from './ascent.js';
+import {
+  buildBackup, parseBackup, planMerge, countDuplicates, applySettings,
+} from './backup.js';
+import {
+  numberDives, computeStats, formatTotalTime, loadFirstNumber, saveFirstNumber,
+  renderStatsCharts, destroyStatsCharts,
+} from './stats.js';
 
 // --- IndexedDB ---
 const DB_NAME = 'garmin-dive';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 const STORE = 'dives';
+const FILE_STORE = 'files'; // v3: original FIT binaries, apart so the list stays light
+
+// v2: indexes backing the list filters
+const INDEXES = [
+  { name: 'startDate', keyPath: 'startDate' },
+  { name: 'maxDepth', keyPath: 'maxDepth' },
+  { name: 'totalTime', keyPath: 'totalTime' },
+  { name: 'minTemp', keyPath: 'minTemp' },
+  { name: 'site', keyPath: 'log.site' },
+  { name: 'tags', keyPath: 'log.tags', multiEntry: true },
+];
 
 function openDB() {
   return new Promise((resolve, reject) => {
     const req = indexedDB.open(DB_NAME, DB_VERSION);
     req.onupgradeneeded = () => {
       const db = req.result;
-      if (!db.objectStoreNames.contains(STORE)) {
-        db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      const store = db.objectStoreNames.contains(STORE)
+        ? req.transaction.objectStore(STORE)
+        : db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      INDEXES.forEach(({ name, keyPath, multiEntry = false }) => {
+        if (!store.indexNames.contains(name)) store.createIndex(name, keyPath, { multiEntry });
+      });
+      if (!db.objectStoreNames.contains(FILE_STORE)) {
+        db.createObjectStore(FILE_STORE, { keyPath: 'id', autoIncrement: true });
       }
     };
     req.onsuccess = () => resolve(req.result);
@@ -36,6 +74,17 @@ async function saveDive(dive) {
   });
 }
 
+async function updateDive(dive) {
+  forgetAscentScore(dive.id);
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.objectStore(STORE).put({ ...dive, startDate: dive.startDate?.toISOString() });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 async function getAllDives() {
   const db = await openDB();
   return new Promise((resolve, reject) => {
@@ -53,6 +102,17 @@ async function getAllDives() {
   });
 }
 
+// Ids of the dives whose index key falls in `range`, without loading them
+async function getDiveIds(indexName, range) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readonly');
+    const req = tx.objectStore(STORE).index(indexName).getAllKeys(range);
+    req.onsuccess = () => resolve(new Set(req.result));
+    req.onerror = () => reject(req.error);
+  });
+}
+
 async function deleteDive(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
@@ -63,6 +123,36 @@ async function deleteDive(id) {
   });
 }
 
+async function saveFile(name, buffer) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FILE_STORE, 'readwrite');
+    const req = tx.objectStore(FILE_STORE).add({ name, data: buffer, importedAt: new Date().toISOString() });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function getFile(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FILE_STORE, 'readonly');
+    const req = tx.objectStore(FILE_STORE).get(id);
+    req.onsuccess = () => resolve(req.result || null);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function deleteFile(id) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(FILE_STORE, 'readwrite');
+    tx.objectStore(FILE_STORE).delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 // --- State ---
 let dives = [];
 let currentDive = null;
@@ -70,8 +160,12 @@ let currentDive = null;
 // --- DOM refs ---
 const viewList = document.getElementById('view-list');
 const viewDetail = document.getElementById('view-detail');
+const viewStats = document.getElementById('view-stats');
+const viewCompare = document.getElementById('view-compare');
+const btnStats = document.getElementById('btn-stats');
 const diveListEl = document.getElementById('dive-list');
 const fileInput = document.getElementById('file-input');
+const folderInput = document.getElementById('folder-input');
 const dropZone = document.getElementById('drop-zone');
 const btnBack = document.getElementById('btn-back');
 const btnDelete = document.getElementById('btn-delete');
@@ -81,9 +175,14 @@ const headerTitle = document.getElementById('header-title');
 function showList() {
   viewList.classList.remove('hidden');
   viewDetail.classList.add('hidden');
+  viewStats.classList.add('hidden');
+  viewCompare.classList.add('hidden');
   btnBack.classList.add('hidden');
+  btnStats.classList.remove('hidden');
   headerTitle.textContent = 'Garmin Dive +';
   destroyCharts();
+  destroyStatsCharts();
+  destroyCompareCharts();
   currentDive = null;
   renderDiveList();
 }
@@ -93,38 +192,257 @@ function showDetail(dive) {
   viewList.classList.add('hidden');
   viewDetail.classList.remove('hidden');
   btnBack.classList.remove('hidden');
-  headerTitle.textContent = formatDate(dive.startDate);
+  btnStats.classList.add('hidden');
+  const number = numberDives(dives).get(dive.id);
+  headerTitle.textContent = `${number ? `#${number} · ` : ''}${formatDate(dive.startDate)}`;
   renderSummary(dive);
+  renderLog(dive);
+  renderConfig(dive);
+  renderConsumption(dive);
   renderCharts(dive);
+  btnDownloadFit.classList.toggle('hidden', dive.fileId == null);
 }
 
+function showStats() {
+  viewList.classList.add('hidden');
+  viewStats.classList.remove('hidden');
+  btnBack.classList.remove('hidden');
+  btnStats.classList.add('hidden');
+  headerTitle.textContent = 'Statistiques';
+  renderStats();
+}
+
+// Dives overlaid in the compare view, oldest first
+let comparedDives = [];
+const compareAlign = document.getElementById('compare-align');
+
+function showCompare(selected) {
+  comparedDives = sortDives(selected, 'date-asc');
+  viewList.classList.add('hidden');
+  viewCompare.classList.remove('hidden');
+  btnBack.classList.remove('hidden');
+  btnStats.classList.add('hidden');
+  headerTitle.textContent = `Comparaison de ${comparedDives.length} plongées`;
+  renderComparedDives();
+}
+
+function renderComparedDives() {
+  const numbers = numberDives(dives);
+  const labels = comparedDives.map(d => [`#${numbers.get(d.id)}`, formatDate(d.startDate), d.log?.site]
+    .filter(Boolean).join(' · '));
+  renderCompare(comparedDives, labels, compareAlign.value);
+}
+
+compareAlign.addEventListener('change', renderComparedDives);
+document.getElementById('btn-compare-reset-zoom').addEventListener('click', resetCompareZoom);
+
 btnBack.addEventListener('click', showList);
+btnStats.addEventListener('click', showStats);
+
+// --- Search, filters and sort ---
+const searchInput = document.getElementById('search-input');
+const sortSelect = document.getElementById('sort-select');
+const filterForm = document.getElementById('filter-form');
+const btnFilters = document.getElementById('btn-filters');
+
+function readFilters() {
+  const f = filterForm.elements;
+  const num = name => (f[name].value === '' ? null : parseFloat(f[name].value));
+  return {
+    text: searchInput.value,
+    dateFrom: f.dateFrom.value ? new Date(`${f.dateFrom.value}T00:00:00`) : null,
+    dateTo: f.dateTo.value ? new Date(`${f.dateTo.value}T23:59:59`) : null,
+    depthMin: num('depthMin'),
+    depthMax: num('depthMax'),
+    durationMin: num('durationMin'),
+    durationMax: num('durationMax'),
+    tempMin: num('tempMin'),
+    tempMax: num('tempMax'),
+    site: f.site.value,
+    buddy: f.buddy.value,
+    tag: f.tag.value,
+    gas: f.gas.value,
+  };
+}
+
+// Fill the choice filters, keeping the current selection
+function renderFilterOptions() {
+  const options = filterOptions(dives);
+  const fill = (select, values) => {
+    const current = select.value;
+    select.innerHTML = '<option value="">Tous</option>'
+      + values.map(v => `<option>${escapeHtml(v)}</option>`).join('');
+    select.value = values.includes(current) ? current : '';
+  };
+  fill(filterForm.elements.site, options.sites);
+  fill(filterForm.elements.buddy, options.buddies);
+  fill(filterForm.elements.tag, options.tags);
+  fill(filterForm.elements.gas, options.gases);
+}
+
+/**
+ * Dives matching the filters. Date, depth, duration, temperature, site and
+ * tag criteria are first narrowed through the IndexedDB indexes, the rest
+ * is matched in memory.
+ */
+async function filteredDives(criteria) {
+  const ranges = [];
+  // null when the bounds are inverted: nothing can match
+  const bound = (lo, hi) => {
+    if (lo != null && hi != null) return lo <= hi ? IDBKeyRange.bound(lo, hi) : null;
+    return lo != null ? IDBKeyRange.lowerBound(lo) : IDBKeyRange.upperBound(hi);
+  };
+  const seconds = minutes => (minutes != null ? minutes * 60 : null);
+  if (criteria.dateFrom || criteria.dateTo) {
+    ranges.push(['startDate', bound(criteria.dateFrom?.toISOString(), criteria.dateTo?.toISOString())]);
+  }
+  if (criteria.depthMin != null || criteria.depthMax != null) {
+    ranges.push(['maxDepth', bound(criteria.depthMin, criteria.depthMax)]);
+  }
+  if (criteria.durationMin != null || criteria.durationMax != null) {
+    ranges.push(['totalTime', bound(seconds(criteria.durationMin), seconds(criteria.durationMax))]);
+  }
+  if (criteria.tempMin != null || criteria.tempMax != null) {
+    ranges.push(['minTemp', bound(criteria.tempMin, criteria.tempMax)]);
+  }
+  if (criteria.site) ranges.push(['site', IDBKeyRange.only(criteria.site)]);
+  if (criteria.tag) ranges.push(['tags', IDBKeyRange.only(criteria.tag)]);
+  if (ranges.some(([, range]) => range === null)) return [];
+
+  let candidates = dives;
+  for (const [index, range] of ranges) {
+    const ids = await getDiveIds(index, range);
+    candidates = candidates.filter(d => ids.has(d.id));
+  }
+  return filterDives(candidates, criteria);
+}
+
+btnFilters.addEventListener('click', () => {
+  filterForm.classList.toggle('hidden');
+  btnFilters.classList.toggle('active', !filterForm.classList.contains('hidden'));
+});
+searchInput.addEventListener('input', () => renderDiveList());
+sortSelect.addEventListener('change', () => renderDiveList());
+filterForm.addEventListener('input', () => renderDiveList());
+filterForm.addEventListener('reset', () => setTimeout(renderDiveList));
+
+// --- Compare selection ---
+// Ids of the dives picked for comparison, null outside selection mode
+let compareSelection = null;
+const btnCompareMode = document.getElementById('btn-compare-mode');
+const compareBar = document.getElementById('compare-bar');
+const btnCompareStart = document.getElementById('btn-compare-start');
+
+function setCompareMode(on) {
+  compareSelection = on ? new Set() : null;
+  btnCompareMode.classList.toggle('active', on);
+  compareBar.classList.toggle('hidden', !on);
+  updateCompareBar();
+  renderDiveList();
+}
+
+function updateCompareBar() {
+  const n = compareSelection?.size || 0;
+  document.getElementById('compare-count').textContent = n < 2
+    ? 'Choisir au moins deux plongées'
+    : `${n} plongées sélectionnées`;
+  btnCompareStart.disabled = n < 2;
+}
+
+btnCompareMode.addEventListener('click', () => setCompareMode(!compareSelection));
+document.getElementById('btn-compare-cancel').addEventListener('click', () => setCompareMode(false));
+btnCompareStart.addEventListener('click', () => {
+  const selected = dives.filter(d => compareSelection?.has(d.id));
+  if (selected.length < 2) return;
+  setCompareMode(false);
+  showCompare(selected);
+});
 
 // --- Render dive list ---
-function renderDiveList() {
-  diveListEl.innerHTML = '';
+// Ascent compliance scores by "id|policy", for the current policy only
+const ascentScores = new Map();
+let ascentScoresPolicy = null;
+
+function ascentScore(dive, policy) {
+  const policyKey = JSON.stringify(policy);
+  if (policyKey !== ascentScoresPolicy) {
+    ascentScores.clear();
+    ascentScoresPolicy = policyKey;
+  }
+  const key = `${dive.id}|${policyKey}`;
+  if (!ascentScores.has(key)) ascentScores.set(key, analyzeAscent(dive, policy).score);
+  return ascentScores.get(key);
+}
+
+// A rewritten dive (log edit, replacement, re-processing) is scored again
+function forgetAscentScore(id) {
+  ascentScores.delete(`${id}|${ascentScoresPolicy}`);
+}
+
+let listRenderId = 0;
+let listedDives = []; // dives shown by the last render, in list order, for export
+const listExport = document.getElementById('list-export');
+
+async function renderDiveList() {
+  const renderId = ++listRenderId;
+  renderFilterOptions();
   if (dives.length === 0) {
+    listedDives = [];
+    listExport.classList.add('hidden');
     diveListEl.innerHTML = '<p style="text-align:center;color:#8899aa;padding:20px">Aucune plongée importée</p>';
+    document.getElementById('list-count').textContent = '';
     return;
   }
 
-  // Sort by date descending
-  const sorted = [...dives].sort((a, b) => (b.startDate || 0) - (a.startDate || 0));
+  const criteria = readFilters();
+  let matching;
+  try {
+    matching = await filteredDives(criteria);
+  } catch (err) {
+    // The indexes are only a shortcut: match everything in memory instead
+    console.error('Error querying the dive indexes:', err);
+    matching = filterDives(dives, criteria);
+  }
+  if (renderId !== listRenderId) return; // a newer render is on its way
+
+  const sorted = sortDives(matching, sortSelect.value);
+  listedDives = sorted;
+  listExport.classList.toggle('hidden', sorted.length === 0);
+  const numbers = numberDives(dives);
+  const ascentPolicy = loadAscentPolicy();
+  document.getElementById('list-count').textContent =
+    matching.length === dives.length ? `${dives.length} plongées` : `${matching.length} / ${dives.length} plongées`;
 
+  diveListEl.innerHTML = '';
   sorted.forEach(dive => {
     const el = document.createElement('div');
     el.className = 'dive-item';
+    el.classList.toggle('selected', !!compareSelection?.has(dive.id));
+    const log = dive.log || {};
+    const score = ascentScore(dive, ascentPolicy);
     el.innerHTML = `
+      ${compareSelection ? '<span class="dive-compare-check"></span>' : ''}
       <div class="dive-item-left">
-        <h3>${formatDate(dive.startDate)}</h3>
-        <p>${dive.samples?.length || 0} points</p>
+        <h3><span class="dive-number">#${numbers.get(dive.id)}</span>${formatDate(dive.startDate)}</h3>
+        ${log.site || log.rating ? `<p>${escapeHtml(log.site || '')} ${log.rating ? `<span class="rating">${'★'.repeat(log.rating)}</span>` : ''}</p>` : ''}
+        <p>${dive.samples?.length || 0} points${dive.surfaceInterval != null ? ` · surface ${formatSurfaceInterval(dive.surfaceInterval)}` : ''}${dive.partial ? ' <span class="badge-partial">Partielle</span>' : ''}${score != null ? ` <span class="badge-ascent ${scoreLevel(score)}" title="Part de la remontée sous la limite de vitesse">Remontée ${score} %</span>` : ''}</p>
+        ${log.tags?.length ? `<p>${renderTags(log.tags)}</p>` : ''}
       </div>
       <div class="dive-item-right">
         <div class="depth">${dive.maxDepth?.toFixed(1) || '—'} m</div>
         <div class="duration">${formatDuration(dive.totalTime)}</div>
       </div>
     `;
-    el.addEventListener('click', () => showDetail(dive));
+    el.addEventListener('click', () => {
+      if (!compareSelection) {
+        showDetail(dive);
+        return;
+      }
+      if (compareSelection.has(dive.id)) compareSelection.delete(dive.id);
+      else compareSelection.add(dive.id);
+      el.classList.toggle('selected', compareSelection.has(dive.id));
+      updateCompareBar();
+    });
     diveListEl.appendChild(el);
   });
 }
@@ -138,6 +456,9 @@ function renderSummary(dive) {
     { label: 'Prof. moy.', value: dive.avgDepth ? `${dive.avgDepth.toFixed(1)} m` : '—' },
     { label: 'Temp. min', value: dive.minTemp != null ? `${dive.minTemp} °C` : '—' },
   ];
+  if (dive.surfaceInterval != null) {
+    stats.push({ label: 'Intervalle surface', value: formatSurfaceInterval(dive.surfaceInterval) });
+  }
 
   el.innerHTML = stats.map(s => `
     <div>
@@ -145,33 +466,515 @@ function renderSummary(dive) {
       <div class="stat-value">${s.value}</div>
     </div>
   `).join('');
+
+  // Phase list, filled in with the charts
+  el.innerHTML += '<div id="dive-phases" class="hidden"></div>';
+
+  if (dive.partial) {
+    const errors = (dive.parseErrors || [])
+      .map(e => `${e.code} (octet ${e.offset})`).join(', ');
+    el.innerHTML += `<div class="summary-warning">Plongée partielle — fichier endommagé : ${errors}</div>`;
+  }
+}
+
+// --- Statistics ---
+function renderStats() {
+  const stats = computeStats(dives);
+  const numbers = numberDives(dives);
+  const diveRef = d => (d ? `#${numbers.get(d.id)} · ${formatDate(d.startDate)}` : '—');
+
+  const totals = [
+    { label: 'Plongées', value: stats.count },
+    { label: 'Temps de fond', value: stats.bottomTimeCount ? formatTotalTime(stats.bottomTime) : '—' },
+    { label: 'Durée totale', value: formatTotalTime(stats.totalTime) },
+    { label: 'Plus profonde', value: stats.deepest ? `${stats.deepest.maxDepth?.toFixed(1)} m` : '—' },
+    { label: 'Plus longue', value: stats.longest ? formatDuration(stats.longest.totalTime) : '—' },
+  ];
+  document.getElementById('stats-totals').innerHTML = totals.map(s => `
+    <div>
+      <div class="stat-label">${s.label}</div>
+      <div class="stat-value">${s.value}</div>
+    </div>
+  `).join('') + `
+    <div class="stats-note">Plus profonde : ${diveRef(stats.deepest)}<br>Plus longue : ${diveRef(stats.longest)}${
+      stats.bottomTimeCount < stats.count
+        ? `<br>Temps de fond connu pour ${stats.bottomTimeCount} plongée${stats.bottomTimeCount > 1 ? 's' : ''} sur ${stats.count}`
+        : ''}</div>
+  `;
+
+  const rowsHtml = rows => rows.map(r => `
+    <div class="config-row">
+      <span class="stat-label">${r.label}</span>
+      <span>${r.value}</span>
+    </div>
+  `).join('');
+
+  document.getElementById('stats-years').innerHTML = '<h3>Par année</h3>'
+    + rowsHtml(stats.perYear.map(y => ({
+      label: y.year,
+      value: `${y.count} plongée${y.count > 1 ? 's' : ''} · ${formatTotalTime(y.totalTime)}`,
+    })));
+
+  const sites = document.getElementById('stats-sites');
+  sites.classList.toggle('hidden', stats.perSite.length === 0);
+  sites.innerHTML = '<h3>Sites</h3>'
+    + rowsHtml(stats.perSite.map(s => ({ label: escapeHtml(s.site), value: s.count })));
+
+  const firstInput = document.getElementById('input-first-number');
+  firstInput.value = loadFirstNumber();
+  firstInput.onchange = () => {
+    const n = parseInt(firstInput.value, 10);
+    if (n > 0) {
+      saveFirstNumber(n);
+      renderStats();
+    }
+  };
+
+  renderStatsCharts(stats);
+}
+
+// --- Dive log metadata (site, buddy, gear, notes...) ---
+const LOG_FIELDS = [
+  { name: 'site', label: 'Site' },
+  { name: 'buddy', label: 'Binôme' },
+  { name: 'suit', label: 'Combinaison' },
+  { name: 'tank', label: 'Bloc' },
+  { name: 'weights', label: 'Lestage', unit: 'kg', number: true },
+  { name: 'visibility', label: 'Visibilité', unit: 'm', number: true },
+];
+
+const logForm = document.getElementById('log-form');
+const logView = document.getElementById('log-view');
+const btnEditLog = document.getElementById('btn-edit-log');
+
+function renderTags(tags) {
+  return tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('');
+}
+
+function renderLog(dive) {
+  const log = dive.log || {};
+  logForm.classList.add('hidden');
+  logView.classList.remove('hidden');
+  btnEditLog.classList.remove('hidden');
+
+  const rows = LOG_FIELDS
+    .filter(f => log[f.name] != null && log[f.name] !== '')
+    .map(f => ({ label: f.label, value: escapeHtml(log[f.name]) + (f.unit ? ` ${f.unit}` : '') }));
+  if (log.rating) rows.push({ label: 'Note', value: '★'.repeat(log.rating) });
+  if (dive.entryPosition) rows.push({ label: 'GPS entrée', value: positionLink(dive.entryPosition) });
+  if (dive.exitPosition) rows.push({ label: 'GPS sortie', value: positionLink(dive.exitPosition) });
+  if (log.tags?.length) rows.push({ label: 'Tags', value: renderTags(log.tags) });
+
+  logView.innerHTML = rows.map(r => `
+    <div class="config-row">
+      <span class="stat-label">${r.label}</span>
+      <span>${r.value}</span>
+    </div>
+  `).join('')
+    + (log.notes ? `<div class="log-notes-text">${escapeHtml(log.notes)}</div>` : '')
+    + (rows.length || log.notes ? '' : '<p class="stat-label">Aucune information saisie</p>');
+}
+
+function positionLink(pos) {
+  const url = `https://www.openstreetmap.org/?mlat=${pos.lat}&mlon=${pos.lon}#map=15/${pos.lat}/${pos.lon}`;
+  return `<a href="${url}" target="_blank" rel="noopener">${formatPosition(pos)}</a>`;
+}
+
+function openLogForm(dive) {
+  const log = dive.log || {};
+  LOG_FIELDS.forEach(f => { logForm.elements[f.name].value = log[f.name] ?? ''; });
+  logForm.elements.rating.value = log.rating || 0;
+  logForm.elements.tags.value = (log.tags || []).join(', ');
+  logForm.elements.notes.value = log.notes || '';
+  logForm.classList.remove('hidden');
+  logView.classList.add('hidden');
+  btnEditLog.classList.add('hidden');
+}
+
+function readLogForm() {
+  const log = {};
+  LOG_FIELDS.forEach(f => {
+    const raw = logForm.elements[f.name].value.trim();
+    log[f.name] = f.number ? (raw === '' ? null : parseFloat(raw)) : raw;
+  });
+  log.rating = parseInt(logForm.elements.rating.value, 10) || 0;
+  log.tags = logForm.elements.tags.value.split(',').map(t => t.trim()).filter(Boolean);
+  log.notes = logForm.elements.notes.value.trim();
+  return log;
+}
+
+btnEditLog.addEventListener('click', () => {
+  if (currentDive) openLogForm(currentDive);
+});
+
+document.getElementById('btn-cancel-log').addEventListener('click', () => {
+  if (currentDive) renderLog(currentDive);
+});
+
+logForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  if (!currentDive) return;
+  currentDive.log = readLogForm();
+  await updateDive(currentDive);
+  renderLog(currentDive);
+});
+
+// --- Render configuration (gases, settings, alarms) ---
+const WATER_LABELS = { fresh: 'Douce', salt: 'Salée', en13319: 'EN13319', custom: 'Personnalisée' };
+const ALARM_LABELS = { depth: 'Profondeur', time: 'Temps', speed: 'Vitesse' };
+const GAS_STATUS_LABELS = { enabled: '', backup_only: ' (secours)', disabled: ' (désactivé)' };
+
+function renderConfig(dive) {
+  const el = document.getElementById('dive-config');
+  const gases = dive.gases || [];
+  const settings = dive.settings;
+  const alarms = dive.alarms || [];
+
+  if (!gases.length && !settings && !alarms.length) {
+    el.classList.add('hidden');
+    return;
+  }
+  el.classList.remove('hidden');
+
+  const rows = [];
+  if (gases.length) {
+    rows.push({
+      label: 'Gaz',
+      value: gases.map(g => `${formatGas(g)}${GAS_STATUS_LABELS[g.status] ?? ''}`).join(', '),
+    });
+  }
+  if (settings) {
+    if (settings.gfLow != null) {
+      rows.push({ label: 'Facteurs de gradient', value: `${settings.gfLow}/${settings.gfHigh}` });
+    }
+    if (settings.waterType) {
+      const density = settings.waterDensity ? ` (${settings.waterDensity} kg/m³)` : '';
+      rows.push({ label: 'Eau', value: `${WATER_LABELS[settings.waterType]}${density}` });
+    }
+    if (settings.po2Warn != null) {
+      rows.push({
+        label: 'PO2 max',
+        value: `${settings.po2Warn} / crit. ${settings.po2Critical} / déco ${settings.po2Deco} bar`,
+      });
+    }
+    if (settings.safetyStop != null) {
+      rows.push({
+        label: 'Palier de sécurité',
+        value: settings.safetyStop ? formatDuration(settings.safetyStopTime || 0) : 'Désactivé',
+      });
+    }
+  }
+  alarms.forEach(a => {
+    let value = '—';
+    if (a.type === 'depth' && a.depth != null) value = `${a.depth.toFixed(1)} m`;
+    if (a.type === 'time' && a.time != null) value = formatDuration(a.time);
+    if (a.type === 'speed' && a.speed != null) value = `${(a.speed * 60).toFixed(1)} m/min`;
+    rows.push({
+      label: `Alarme ${ALARM_LABELS[a.type] || ''}`,
+      value: `${value}${a.enabled ? '' : ' (désactivée)'}`,
+    });
+  });
+
+  el.innerHTML = '<h3>Configuration</h3>' + rows.map(r => `
+    <div class="config-row">
+      <span class="stat-label">${r.label}</span>
+      <span>${r.value}</span>
+    </div>
+  `).join('');
+}
+
+// --- Render gas consumption ---
+function renderConsumption(dive) {
+  const el = document.getElementById('gas-card');
+  const transmitter = hasTankPressures(dive);
+  const manual = dive.manualPressures || {};
+  const gas = computeConsumption(dive);
+
+  const inputs = [
+    { id: 'input-tank-size', label: 'Bloc', unit: 'L', value: dive.tankSize },
+  ];
+  if (!transmitter) {
+    inputs.push(
+      { id: 'input-pressure-start', label: 'P. début', unit: 'bar', value: manual.start },
+      { id: 'input-pressure-end', label: 'P. fin', unit: 'bar', value: manual.end },
+    );
+  }
+
+  const rows = [];
+  if (gas) {
+    rows.push({ label: 'Consommé', value: `${Math.round(gas.pressureUsed)} bar` });
+    rows.push({ label: 'SAC', value: `${gas.sac.toFixed(2)} bar/min` });
+    rows.push({
+      label: 'RMV',
+      value: gas.rmv != null ? `${gas.rmv.toFixed(1)} L/min` : 'Indiquer le volume du bloc',
+    });
+  } else {
+    rows.push({
+      label: 'SAC',
+      value: transmitter ? '—' : 'Saisir les pressions de début et de fin',
+    });
+  }
+
+  el.innerHTML = `<h3>Consommation${transmitter ? ' <small>(transmetteur)</small>' : ''}</h3>
+    <div class="gas-inputs">
+      ${inputs.map(i => `
+        <label>${i.label}
+          <input type="number" id="${i.id}" min="0" step="1" value="${i.value ?? ''}"> ${i.unit}
+        </label>
+      `).join('')}
+    </div>
+  ` + rows.map(r => `
+    <div class="config-row">
+      <span class="stat-label">${r.label}</span>
+      <span>${r.value}</span>
+    </div>
+  `).join('');
+
+  const readNumber = id => {
+    const input = document.getElementById(id);
+    const value = input ? parseFloat(input.value) : NaN;
+    return value > 0 ? value : null;
+  };
+  el.querySelectorAll('input').forEach(input => {
+    input.addEventListener('change', async () => {
+      dive.tankSize = readNumber('input-tank-size');
+      if (!transmitter) {
+        dive.manualPressures = {
+          start: readNumber('input-pressure-start'),
+          end: readNumber('input-pressure-end'),
+        };
+      }
+      await updateDive(dive);
+      renderConsumption(dive);
+    });
+  });
 }
 
 // --- File import ---
-async function handleFile(file) {
-  if (!file || !file.name.toLowerCase().endsWith('.fit')) {
-    alert('Veuillez sélectionner un fichier .FIT');
+const importPanel = document.getElementById('import-panel');
+const importProgress = document.getElementById('import-progress');
+const importStatus = document.getElementById('import-status');
+const importResults = document.getElementById('import-results');
+
+const isFitName = name => name.toLowerCase().endsWith('.fit');
+const isZipName = name => name.toLowerCase().endsWith('.zip');
+// UDDF, Subsurface XML and CSV profiles from other logbooks
+const isInterchangeName = name => IMPORT_EXTENSIONS.some(ext => name.toLowerCase().endsWith(ext));
+
+/**
+ * Parse one imported file and store its dives. Dives already imported (see
+ * sameDive) are skipped, replaced with their metadata kept, or kept twice,
+ * as `resolveConflict` decides.
+ * A damaged FIT file is recovered after confirmation when `askRecover`, else
+ * straight away. Only FIT binaries are kept; CSV profiles get their date
+ * from `modified` (the file or ZIP entry date, undated when null). Returns
+ * { added, replaced, skipped } or null when the user declined recovery.
+ */
+async function importFile(name, buffer, { askRecover = false, modified, resolveConflict = async () => 'skip' } = {}) {
+  let imported;
+  const fit = !isInterchangeName(name);
+  if (!fit) {
+    imported = parseImportFile(name, new TextDecoder().decode(buffer), { startDate: modified });
+  } else {
+    try {
+      imported = extractDivesFromBuffer(buffer);
+    } catch (err) {
+      if (!(err instanceof FitParseError)) throw err;
+      if (askRecover && !confirm(`Fichier endommagé : ${err.message}.\nRécupérer les données lisibles ?`)) return null;
+      imported = extractDivesFromBuffer(buffer, { recover: true });
+    }
+  }
+
+  // Stored dive each imported one duplicates, if any
+  const known = new Map(imported.map(d => [d, dives.find(old => sameDive(old, d))]).filter(([, old]) => old));
+  const duplicates = imported.filter(d => known.has(d));
+  const strategy = duplicates.length ? (await resolveConflict(name, duplicates.length)) || 'skip' : 'skip';
+  const added = imported.filter(d => !known.has(d) || strategy === 'keep');
+  const replaced = strategy === 'overwrite' ? duplicates : [];
+
+  if (added.length || replaced.length) {
+    // Multi-dive activities and chained FIT files give one entry per dive,
+    // all pointing at the same stored binary
+    const fileId = fit ? await saveFile(name, buffer) : undefined;
+    for (const dive of added) {
+      if (fit) dive.fileId = fileId;
+      dive.fileName = name;
+      dive.id = await saveDive(dive);
+      dives.push(dive);
+    }
+    for (const dive of replaced) {
+      const old = known.get(dive);
+      carryUserFields(old, dive, { onlyMissing: !fit });
+      // A dive replaced from another logbook keeps its FIT binary
+      Object.assign(dive, fit
+        ? { id: old.id, fileId, fileName: name }
+        : { id: old.id, fileId: old.fileId, fileName: old.fileName });
+      await updateDive(dive);
+      dives = dives.map(d => (d.id === old.id ? dive : d));
+      if (fit) await dropUnusedFile(old.fileId);
+    }
+  }
+  return { added, replaced, skipped: imported.length - added.length - replaced.length };
+}
+
+// Delete a stored FIT binary once no dive comes from it any more
+async function dropUnusedFile(fileId) {
+  if (fileId != null && !dives.some(d => d.fileId === fileId)) await deleteFile(fileId);
+}
+
+// Files to import, ZIP archives expanded: [{ name, modified, read() }]
+async function expandImports(files) {
+  const entries = [];
+  for (const file of files) {
+    if (isFitName(file.name) || isInterchangeName(file.name)) {
+      entries.push({ name: file.name, modified: new Date(file.lastModified), read: () => file.arrayBuffer() });
+    } else if (isZipName(file.name) || isZip(await file.slice(0, 4).arrayBuffer())) {
+      // Archives are also recognised by their signature, whatever their name
+      try {
+        const zipEntries = await readZip(await file.arrayBuffer());
+        zipEntries.filter(z => isFitName(z.name) || isInterchangeName(z.name)).forEach(z => {
+          entries.push({
+            name: z.name.split('/').pop(), source: file.name, modified: z.modified, read: async () => z.data,
+          });
+        });
+      } catch (err) {
+        entries.push({ name: file.name, error: err });
+      }
+    }
+  }
+  return entries;
+}
+
+function addImportResult(name, status, text) {
+  const row = document.createElement('div');
+  row.className = `import-row import-${status}`;
+  row.innerHTML = '<span class="import-name"></span><span class="import-text"></span>';
+  row.querySelector('.import-name').textContent = name;
+  row.querySelector('.import-text').textContent = text;
+  importResults.appendChild(row);
+}
+
+/**
+ * Import FIT, UDDF, Subsurface and CSV files and ZIP archives one by one,
+ * reporting each file in the import panel.
+ */
+async function handleFiles(files) {
+  const entries = await expandImports([...files]);
+  if (entries.length === 0) {
+    importPanel.classList.remove('hidden');
+    importResults.innerHTML = '';
+    importProgress.max = 1;
+    importProgress.value = 1;
+    importStatus.textContent = 'Aucun fichier de plongée trouvé';
     return;
   }
 
-  try {
-    const buffer = await file.arrayBuffer();
-    const dive = extractDiveFromBuffer(buffer);
-    const id = await saveDive(dive);
-    dive.id = id;
-    dives.push(dive);
-    showDetail(dive);
-  } catch (err) {
-    console.error('Error parsing FIT:', err);
-    alert(`Erreur lors du parsing: ${err.message}`);
+  importPanel.classList.remove('hidden');
+  importResults.innerHTML = '';
+  importProgress.max = entries.length;
+  importProgress.value = 0;
+
+  const single = entries.length === 1;
+  const addedDives = [];
+  let failed = 0;
+  let skipped = 0;
+
+  // In a batch the first answer applies to the following files
+  let batchStrategy = null;
+  const resolveConflict = async (name, count) => {
+    if (batchStrategy) return batchStrategy;
+    const choice = await askConflictStrategy(
+      `${name} : ${count} plongée${count > 1 ? 's' : ''} déjà importée${count > 1 ? 's' : ''}.`
+      + (single ? '' : ' Ce choix s’appliquera aux fichiers suivants.'),
+    );
+    if (!single) batchStrategy = choice || 'skip';
+    return choice;
+  };
+
+  for (const [i, entry] of entries.entries()) {
+    importStatus.textContent = `Import ${i + 1} / ${entries.length} : ${entry.name}`;
+    const label = entry.source ? `${entry.source} › ${entry.name}` : entry.name;
+    try {
+      if (entry.error) throw entry.error;
+      const result = await importFile(entry.name, await entry.read(), {
+        askRecover: single, modified: entry.modified, resolveConflict,
+      });
+      if (!result) {
+        addImportResult(label, 'skipped', 'annulé');
+        continue;
+      }
+      const stored = [...result.added, ...result.replaced];
+      skipped += result.skipped;
+      if (stored.length === 0) {
+        addImportResult(label, 'skipped', 'déjà importé');
+      } else {
+        addedDives.push(...stored);
+        const partial = stored.some(d => d.partial) ? ' (partielle)' : '';
+        const n = result.added.length;
+        const parts = [];
+        if (n) parts.push(`${n} plongée${n > 1 ? 's' : ''}`);
+        if (result.replaced.length) parts.push(`${result.replaced.length} remplacée(s)`);
+        addImportResult(label, 'ok', `${parts.join(', ')}${partial}`);
+      }
+    } catch (err) {
+      console.error(`Error parsing ${entry.name}:`, err);
+      failed++;
+      addImportResult(label, 'error', err.message);
+    } finally {
+      importProgress.value = i + 1;
+    }
+  }
+
+  importStatus.textContent = `${addedDives.length} plongée(s) enregistrée(s)`
+    + `${skipped ? `, ${skipped} déjà présente(s)` : ''}${failed ? `, ${failed} fichier(s) en erreur` : ''}`;
+
+  if (single && addedDives.length === 1) {
+    importPanel.classList.add('hidden');
+    showDetail(addedDives[0]);
+  } else {
+    renderDiveList();
   }
 }
 
+document.getElementById('btn-close-import').addEventListener('click', () => {
+  importPanel.classList.add('hidden');
+});
+
 fileInput.addEventListener('change', e => {
-  if (e.target.files[0]) handleFile(e.target.files[0]);
+  if (e.target.files.length) handleFiles(e.target.files);
   e.target.value = '';
 });
 
+folderInput.addEventListener('change', e => {
+  if (e.target.files.length) handleFiles(e.target.files);
+  e.target.value = '';
+});
+
+// Files of a dropped folder, read recursively
+function readEntryFiles(entry) {
+  if (entry.isFile) return new Promise((resolve, reject) => entry.file(f => resolve([f]), reject));
+  if (!entry.isDirectory) return Promise.resolve([]);
+  const reader = entry.createReader();
+  const readBatch = () => new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+  return (async () => {
+    const files = [];
+    for (let batch = await readBatch(); batch.length; batch = await readBatch()) {
+      for (const child of batch) files.push(...await readEntryFiles(child));
+    }
+    return files;
+  })();
+}
+
+async function droppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items || [])]
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return [...dataTransfer.files];
+  const files = [];
+  for (const entry of entries) files.push(...await readEntryFiles(entry));
+  return files;
+}
+
 // Drag & drop
 dropZone.addEventListener('dragover', e => {
   e.preventDefault();
@@ -180,11 +983,111 @@ dropZone.addEventListener('dragover', e => {
 dropZone.addEventListener('dragleave', () => {
   dropZone.classList.remove('dragover');
 });
-dropZone.addEventListener('drop', e => {
+dropZone.addEventListener('drop', async e => {
   e.preventDefault();
   dropZone.classList.remove('dragover');
-  const file = e.dataTransfer.files[0];
-  if (file) handleFile(file);
+  const files = await droppedFiles(e.dataTransfer);
+  if (files.length) handleFiles(files);
+});
+
+// --- Duplicate conflicts: skip, overwrite or keep both ---
+const conflictDialog = document.getElementById('conflict-dialog');
+
+function askConflictStrategy(message) {
+  document.getElementById('conflict-message').textContent = message;
+  conflictDialog.classList.remove('hidden');
+  return new Promise(resolve => {
+    conflictDialog.querySelectorAll('button').forEach(btn => {
+      btn.onclick = () => {
+        conflictDialog.classList.add('hidden');
+        resolve(btn.dataset.choice || null);
+      };
+    });
+  });
+}
+
+// --- Backup / restore ---
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById('btn-export-backup').addEventListener('click', () => {
+  const json = buildBackup(dives);
+  const day = new Date().toISOString().slice(0, 10);
+  downloadBlob(new Blob([json], { type: 'application/json' }), `garmin-dive-backup-${day}.json`);
+});
+
+async function restoreBackup(file) {
+  try {
+    const backup = parseBackup(await file.text());
+    let strategy = 'skip';
+    const duplicates = countDuplicates(dives, backup.dives);
+    if (duplicates > 0) {
+      strategy = await askConflictStrategy(
+        `${duplicates} plongée${duplicates > 1 ? 's' : ''} de la sauvegarde existe${duplicates > 1 ? 'nt' : ''} déjà.`,
+      );
+      if (!strategy) return;
+    }
+
+    const plan = planMerge(dives, backup.dives, strategy);
+    for (const dive of plan.toAdd) {
+      dive.id = await saveDive(dive);
+      dives.push(dive);
+    }
+    for (const dive of plan.toReplace) {
+      await updateDive(dive);
+      dives = dives.map(d => (d.id === dive.id ? dive : d));
+    }
+    applySettings(backup.settings);
+    renderDiveList();
+    alert(`Sauvegarde restaurée : ${plan.toAdd.length} ajoutée(s), ${plan.toReplace.length} remplacée(s), ${plan.skipped} ignorée(s)`);
+  } catch (err) {
+    console.error('Error restoring backup:', err);
+    alert(`Erreur lors de la restauration: ${err.message}`);
+  }
+}
+
+document.getElementById('backup-input').addEventListener('change', e => {
+  if (e.target.files[0]) restoreBackup(e.target.files[0]);
+  e.target.value = '';
+});
+
+// --- Maintenance: merge duplicates already in the store ---
+// The first imported copy is kept and receives the metadata it lacks
+async function mergeDuplicates(groups) {
+  let removed = 0;
+  for (const [keeper, ...others] of groups) {
+    others.forEach(other => carryUserFields(other, keeper, { onlyMissing: true }));
+    await updateDive(keeper);
+    for (const other of others) {
+      await deleteDive(other.id);
+      dives = dives.filter(d => d.id !== other.id);
+      await dropUnusedFile(other.fileId);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+document.getElementById('btn-scan-duplicates').addEventListener('click', async () => {
+  const groups = findDuplicateGroups(dives);
+  if (groups.length === 0) {
+    alert('Aucun doublon trouvé');
+    return;
+  }
+  const extra = groups.reduce((n, g) => n + g.length - 1, 0);
+  if (!confirm(`${groups.length} plongée(s) en double (${extra} copie(s) en trop).\n`
+    + 'Fusionner ? La première importée est conservée avec les informations saisies.')) return;
+  const removed = await mergeDuplicates(groups);
+  renderDiveList();
+  alert(`${removed} copie(s) supprimée(s)`);
 });
 
 // --- Delete ---
@@ -193,9 +1096,180 @@ btnDelete.addEventListener('click', async () => {
   if (!confirm('Supprimer cette plongée ?')) return;
   await deleteDive(currentDive.id);
   dives = dives.filter(d => d.id !== currentDive.id);
+  await dropUnusedFile(currentDive.fileId);
   showList();
 });
 
+// --- Original FIT: download and re-processing ---
+const btnDownloadFit = document.getElementById('btn-download-fit');
+
+btnDownloadFit.addEventListener('click', async () => {
+  if (currentDive?.fileId == null) return;
+  const file = await getFile(currentDive.fileId);
+  if (!file) {
+    alert('Fichier FIT original introuvable');
+    return;
+  }
+  downloadBlob(new Blob([file.data], { type: 'application/octet-stream' }), file.name || 'dive.fit');
+});
+
+// --- UDDF / Subsurface export ---
+function exportDives(selection, format) {
+  if (selection.length === 0) return;
+  const numbers = numberDives(dives);
+  const xml = format === 'uddf' ? exportUddf(selection, numbers) : exportSubsurface(selection, numbers);
+  downloadBlob(new Blob([xml], { type: 'application/xml' }), exportFileName(selection, format));
+}
+
+document.querySelectorAll('#list-export button').forEach(btn => {
+  btn.addEventListener('click', () => exportDives(listedDives, btn.dataset.format));
+});
+document.querySelectorAll('#dive-export button').forEach(btn => {
+  btn.addEventListener('click', () => currentDive && exportDives([currentDive], btn.dataset.format));
+});
+
+/**
+ * Rebuild every dive from its stored FIT binary with the current parser.
+ * Dives imported before binaries were kept are left untouched.
+ */
+async function reprocessAllDives() {
+  let updated = 0;
+  let failed = 0;
+  let missing = 0;
+  const buffers = new Map();
+
+  for (let i = 0; i < dives.length; i++) {
+    const dive = dives[i];
+    if (dive.fileId == null) {
+      missing++;
+      continue;
+    }
+    try {
+      if (!buffers.has(dive.fileId)) buffers.set(dive.fileId, await getFile(dive.fileId));
+      const file = buffers.get(dive.fileId);
+      if (!file) {
+        missing++;
+        continue;
+      }
+      const fresh = extractDiveFromBuffer(file.data, { recover: !!dive.partial, index: dive.fileDiveIndex ?? 0 });
+      const rebuilt = carryUserFields(dive, { ...fresh, id: dive.id, fileId: dive.fileId, fileName: dive.fileName });
+      await updateDive(rebuilt);
+      dives[i] = rebuilt;
+      updated++;
+    } catch (err) {
+      console.error(`Error re-processing dive ${dive.id}:`, err);
+      failed++;
+    }
+  }
+  return { updated, failed, missing };
+}
+
+document.getElementById('btn-reprocess').addEventListener('click', async () => {
+  if (!confirm('Relire toutes les plongées depuis leur fichier FIT ? Les informations saisies sont conservées.')) return;
+  const { updated, failed, missing } = await reprocessAllDives();
+  renderDiveList();
+  alert(`${updated} plongée(s) retraitée(s)${failed ? `, ${failed} en erreur` : ''}${missing ? `, ${missing} sans fichier FIT` : ''}`);
+});
+
+// Local day of a date as YYYY-MM-DD (date inputs, file names)
+const dayValue = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+  + `-${String(date.getDate()).padStart(2, '0')}`;
+
+// --- Share the profile image ---
+document.getElementById('btn-share-chart').addEventListener('click', async () => {
+  if (!currentDive) return;
+  const blob = await renderShareImage(currentDive);
+  if (!blob) return;
+  const d = currentDive.startDate;
+  // Undated dives get a plain name
+  const name = d
+    ? `profil-${dayValue(d)}-${String(d.getHours()).padStart(2, '0')}h${String(d.getMinutes()).padStart(2, '0')}.png`
+    : 'profil.png';
+  const file = new File([blob], name, { type: 'image/png' });
+
+  // Web Share where files can be shared (mobile), download otherwise
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: d ? `Plongée du ${formatDate(d)}` : 'Plongée' });
+      return;
+    } catch (err) {
+      if (err.name === 'AbortError') return; // closed by the user
+    }
+  }
+  downloadBlob(blob, name);
+});
+
+// --- Printable logbook ---
+const printDialog = document.getElementById('print-dialog');
+const printRange = document.getElementById('print-range');
+const printFrom = document.getElementById('print-from');
+const printTo = document.getElementById('print-to');
+const printView = document.getElementById('print-view');
+let printSelection = () => [];
+
+// Dives of the chosen date range, oldest first as in a paper logbook
+function rangeDives() {
+  return sortDives(filterDives(dives, {
+    dateFrom: printFrom.value ? new Date(`${printFrom.value}T00:00:00`) : null,
+    dateTo: printTo.value ? new Date(`${printTo.value}T23:59:59`) : null,
+  }), 'date-asc');
+}
+
+function updatePrintMessage() {
+  const n = printSelection().length;
+  document.getElementById('print-message').textContent = n
+    ? `${n} plongée${n > 1 ? 's' : ''}, une page chacune avec cadre de signature.`
+    : 'Aucune plongée sur cette période.';
+}
+
+// One dive from the detail view, or a date range from the list
+function openPrintDialog(dive = null) {
+  printRange.classList.toggle('hidden', !!dive);
+  if (dive) {
+    printSelection = () => [dive];
+  } else {
+    const dates = dives.map(d => d.startDate).filter(Boolean).sort((a, b) => a - b);
+    printFrom.value = dates.length ? dayValue(dates[0]) : '';
+    printTo.value = dates.length ? dayValue(dates[dates.length - 1]) : '';
+    printSelection = rangeDives;
+  }
+  updatePrintMessage();
+  printDialog.classList.remove('hidden');
+}
+
+printRange.addEventListener('input', updatePrintMessage);
+document.getElementById('btn-print-logbook').addEventListener('click', () => openPrintDialog());
+document.getElementById('btn-print-dive').addEventListener('click', () => {
+  if (currentDive) openPrintDialog(currentDive);
+});
+
+printDialog.querySelectorAll('button').forEach(btn => {
+  btn.addEventListener('click', async () => {
+    const selection = printSelection();
+    const action = btn.dataset.action;
+    if (action && selection.length === 0) return;
+    printDialog.classList.add('hidden');
+    const numbers = numberDives(dives);
+
+    if (action === 'print') {
+      renderPrintPages(printView, selection, numbers);
+      await Promise.all([...printView.querySelectorAll('img')].map(img => img.decode?.().catch(() => {})));
+      window.print();
+    } else if (action === 'pdf') {
+      // Named after the dated dives of the selection, undated ones left out
+      const dates = selection.map(d => d.startDate).filter(Boolean).sort((a, b) => a - b);
+      let name = 'carnet.pdf';
+      if (selection.length === 1) name = `carnet-plongee-${numbers.get(selection[0].id)}.pdf`;
+      else if (dates.length) name = `carnet-${dayValue(dates[0])}-${dayValue(dates[dates.length - 1])}.pdf`;
+      downloadBlob(buildLogbookPdf(selection, numbers), name);
+    }
+  });
+});
+
+window.addEventListener('afterprint', () => {
+  printView.innerHTML = '';
+});
+
 // --- Init ---
 async function init() {
   dives = await getAllDives();
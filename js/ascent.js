@@ -0,0 +1,129 @@
+/**
+ * Ascent rate policies and compliance: speed limits by depth, the
+ * violation segments of a dive and its compliance score.
+ */
+
+const POLICY_STORAGE_KEY = 'garmin-dive-ascent-policy';
+const RATE_WINDOW = 6;    // s, rates are measured over it (depth is read in steps)
+const MERGE_GAP = 5;      // s, violations closer than this form one segment
+const MIN_VIOLATION = 3;  // s, shorter excursions are ignored
+
+// Limits (m/min) by depth band: each applies from `depth` (m) down to the
+// next deeper band. Bands are kept deepest first and end with depth 0.
+// The default 12 m/min keeps the former fixed 6/9/12 m/min colour bands.
+export const DEFAULT_POLICY = { bands: [{ depth: 0, limit: 12 }] };
+
+// Sorted copy of a policy, or the default one when it is not usable
+export function normalizePolicy(policy) {
+  const bands = (policy?.bands || [])
+    .filter(b => Number.isFinite(b.depth) && b.depth >= 0 && b.limit > 0)
+    .sort((a, b) => b.depth - a.depth);
+  if (!bands.length || bands[bands.length - 1].depth !== 0) return structuredClone(DEFAULT_POLICY);
+  return { bands };
+}
+
+export function loadAscentPolicy() {
+  try {
+    return normalizePolicy(JSON.parse(localStorage.getItem(POLICY_STORAGE_KEY)));
+  } catch {
+    return structuredClone(DEFAULT_POLICY);
+  }
+}
+
+export function saveAscentPolicy(policy) {
+  localStorage.setItem(POLICY_STORAGE_KEY, JSON.stringify(normalizePolicy(policy)));
+}
+
+/**
+ * Speed limit (m/min) at `depth` (m): the band deeper than `depth` or at it.
+ */
+export function limitAt(policy, depth) {
+  const band = policy.bands.find(b => (depth ?? 0) >= b.depth) || policy.bands[policy.bands.length - 1];
+  return band.limit;
+}
+
+// "10 m/min", or "9 m/min sous 10 m, 3 m/min au-dessus de 10 m"
+export function policyLabel(policy) {
+  const { bands } = policy;
+  if (bands.length === 1) return `${bands[0].limit} m/min`;
+  return bands.map((b, i) => {
+    if (i === 0) return `${b.limit} m/min sous ${b.depth} m`;
+    if (b.depth === 0) return `${b.limit} m/min au-dessus de ${bands[i - 1].depth} m`;
+    return `${b.limit} m/min de ${bands[i - 1].depth} à ${b.depth} m`;
+  }).join(', ');
+}
+
+/**
+ * Ascent rate (m/min, positive going up) at each sample, measured over the
+ * RATE_WINDOW seconds before it.
+ */
+export function windowRates(samples) {
+  let from = 0;
+  return samples.map((s, i) => {
+    while (from < i && s.elapsed - samples[from + 1].elapsed >= RATE_WINDOW) from++;
+    const start = samples[from];
+    const dt = s.elapsed - start.elapsed;
+    if (dt <= 0 || s.depth == null || start.depth == null) return null;
+    return ((start.depth - s.depth) / dt) * 60;
+  });
+}
+
+/**
+ * Ascent analysis of a dive under `policy`. Returns
+ * { rates, limits (m/min per sample), violations, ascentTime (s),
+ * violationTime (s), score (% of ascent time within limits, null without
+ * ascent) }. Each violation is { startIdx, endIdx, start, end, duration (s),
+ * fromDepth, toDepth (m), peak, average, limit (m/min) }.
+ */
+export function analyzeAscent(dive, policy = loadAscentPolicy()) {
+  const samples = dive.samples || [];
+  const rates = windowRates(samples);
+  const limits = samples.map(s => limitAt(policy, s.depth));
+
+  // Runs of samples over their limit, merged across short dips
+  const runs = [];
+  for (let i = 1; i < samples.length; i++) {
+    if (!(rates[i] > limits[i])) continue;
+    const last = runs[runs.length - 1];
+    if (last && samples[i].elapsed - samples[last.endIdx].elapsed <= MERGE_GAP) last.endIdx = i;
+    else runs.push({ startIdx: i - 1, endIdx: i });
+  }
+
+  const violations = runs.map(({ startIdx, endIdx }) => {
+    const start = samples[startIdx].elapsed;
+    const end = samples[endIdx].elapsed;
+    const fromDepth = samples[startIdx].depth ?? 0;
+    const toDepth = samples[endIdx].depth ?? 0;
+    const span = rates.slice(startIdx + 1, endIdx + 1).filter(r => r != null);
+    return {
+      startIdx,
+      endIdx,
+      start,
+      end,
+      duration: end - start,
+      fromDepth,
+      toDepth,
+      peak: Math.max(...span),
+      average: end > start ? ((fromDepth - toDepth) / (end - start)) * 60 : 0,
+      limit: Math.min(...limits.slice(startIdx + 1, endIdx + 1)),
+    };
+  }).filter(v => v.duration >= MIN_VIOLATION);
+
+  let ascentTime = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (rates[i] > 0) ascentTime += samples[i].elapsed - samples[i - 1].elapsed;
+  }
+  const violationTime = violations.reduce((sum, v) => sum + v.duration, 0);
+  const score = ascentTime > 0
+    ? Math.max(0, Math.round(100 * (1 - Math.min(violationTime, ascentTime) / ascentTime)))
+    : null;
+
+  return { rates, limits, violations, ascentTime, violationTime, score };
+}
+
+// Colour class of a compliance score
+export function scoreLevel(score) {
+  if (score >= 95) return 'good';
+  if (score >= 80) return 'fair';
+  return 'poor';
+}
@@ -0,0 +1,124 @@
+/**
+ * Logbook backup: every dive, its metadata and the app settings in one
+ * versioned JSON file, and the validation and merge plan of a restore.
+ */
+import { sameDive } from './dive-data.js';
+
+export const BACKUP_FORMAT = 'garmin-dive-backup';
+export const BACKUP_VERSION = 1;
+const SETTINGS_PREFIX = 'garmin-dive-';
+
+/**
+ * Settings kept in localStorage (GF defaults, chart series, numbering...).
+ */
+export function readSettings() {
+  const settings = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(SETTINGS_PREFIX)) settings[key] = localStorage.getItem(key);
+  }
+  return settings;
+}
+
+export function applySettings(settings) {
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (key.startsWith(SETTINGS_PREFIX) && typeof value === 'string') localStorage.setItem(key, value);
+  });
+}
+
+/**
+ * Serialise dives and settings. Dates become ISO strings; 64-bit FIT values
+ * decoded as BigInt are written as strings, JSON having no BigInt.
+ */
+export function buildBackup(dives, settings = readSettings()) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    dives: dives.map(d => ({ ...d, startDate: d.startDate?.toISOString() ?? null })),
+  };
+  return JSON.stringify(backup, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+}
+
+const isNumberOrNull = v => v == null || (typeof v === 'number' && Number.isFinite(v));
+
+// First schema problem of a backed up dive, or null
+function diveProblem(d) {
+  if (!d || typeof d !== 'object') return 'not an object';
+  // Undated dives (UDDF or Subsurface files without a date) are kept as null
+  if (d.startDate !== null && (typeof d.startDate !== 'string' || Number.isNaN(Date.parse(d.startDate)))) {
+    return 'invalid startDate';
+  }
+  if (!Array.isArray(d.samples)) return 'missing samples';
+  if (d.samples.some(s => !s || typeof s.elapsed !== 'number')) return 'invalid sample';
+  for (const key of ['totalTime', 'maxDepth', 'avgDepth', 'minTemp', 'maxTemp']) {
+    if (!isNumberOrNull(d[key])) return `invalid ${key}`;
+  }
+  if (d.log != null && typeof d.log !== 'object') return 'invalid log';
+  if (d.log?.tags != null && !Array.isArray(d.log.tags)) return 'invalid log tags';
+  return null;
+}
+
+/**
+ * Parse and validate a backup file. Throws on the first schema problem.
+ * Returns { settings, dives } with dates revived and ids dropped. FIT
+ * binaries are not in backups, so the link to them is dropped as well.
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Backup is not valid JSON');
+  }
+  if (data?.format !== BACKUP_FORMAT) throw new Error('Not a Garmin Dive + backup');
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${data.version}`);
+  }
+  if (!Array.isArray(data.dives)) throw new Error('Backup has no dive list');
+
+  data.dives.forEach((d, i) => {
+    const problem = diveProblem(d);
+    if (problem) throw new Error(`Dive #${i + 1}: ${problem}`);
+  });
+
+  return {
+    settings: data.settings && typeof data.settings === 'object' ? data.settings : {},
+    dives: data.dives.map(({ id, fileId, ...d }) => ({
+      ...d,
+      startDate: d.startDate === null ? null : new Date(d.startDate),
+    })),
+  };
+}
+
+/**
+ * Split restored dives against the stored ones.
+ * strategy: 'skip' keeps stored duplicates, 'overwrite' replaces them
+ * (keeping their id and FIT binary), 'keep' adds restored copies next to them.
+ * Returns { toAdd, toReplace, skipped, duplicates }.
+ */
+export function planMerge(existing, incoming, strategy = 'skip') {
+  const plan = { toAdd: [], toReplace: [], skipped: 0, duplicates: 0 };
+
+  incoming.forEach(dive => {
+    const match = existing.find(d => sameDive(d, dive));
+    if (!match) {
+      plan.toAdd.push(dive);
+      return;
+    }
+    plan.duplicates++;
+    if (strategy === 'overwrite') {
+      plan.toReplace.push({ ...dive, id: match.id, fileId: match.fileId, fileName: match.fileName });
+    } else if (strategy === 'keep') {
+      plan.toAdd.push(dive);
+    } else {
+      plan.skipped++;
+    }
+  });
+  return plan;
+}
+
+export function countDuplicates(existing, incoming) {
+  return planMerge(existing, incoming).duplicates;
+}
@@ -4,10 +4,27 @@
  * 1-finger long-press = single cursor (disappears on release).
  * 2-finger long-press = dual cursor (disappears on release).
  * Synced tooltips between both charts.
+ * Dive events are drawn as tappable markers on the depth chart.
+ * The ZHL-16C ceiling is shaded from the surface down on the depth chart.
+ * Tissue gradients are drawn as a heatmap synced with the other charts,
+ * with a per-compartment bar view following the cursors.
+ * The charts as zoomed can be exported as one shareable PNG.
+ * Ascent speeds are coloured against the ascent policy; its violations are
+ * shaded on both charts and listed in a compliance report.
+ * Dive phases (descent, bottom, stops...) are tinted on the depth chart and
+ * listed in the summary.
  */
+import { formatDuration, formatDate, EVENT_STYLES, eventLabel } from './dive-data.js';
+import { computeDeco, DEFAULT_GF, ZHL16C } from './deco.js';
+import { computeConsumption } from './consumption.js';
+import { analyzeAscent, loadAscentPolicy, saveAscentPolicy, policyLabel, scoreLevel } from './ascent.js';
+import { detectPhases } from './phases.js';
 
 let depthChart = null;
 let ascentChart = null;
+let extraCharts = [];
+let tissueChart = null;
+let tissueBarChart = null;
 let currentDive = null;
 
 let allLabels = [];
@@ -17,6 +34,43 @@ let allAscentColors = [];
 let allAscentRates = [];
 let allDisplayLabels = [];
 
+// Event markers: dive events with the index of their nearest sample
+let eventMarkers = [];
+let selectedEvent = null;
+
+// Decompression replay (ZHL-16C) of the current dive
+let decoResult = null;
+let ceilingEnabled = true;
+const GF_STORAGE_KEY = 'garmin-dive-gf-defaults';
+let tissueImage = null; // offscreen canvas, one pixel per sample and compartment
+
+// Dive phases of the current dive, stops told apart by the deco ceiling
+let phases = [];
+
+const PHASE_STYLES = {
+  descent: { label: 'Descente', color: '#00b4d8' },
+  bottom: { label: 'Fond', color: '#8899aa' },
+  ascent: { label: 'Remontée', color: '#ff6b35' },
+  safety_stop: { label: 'Palier de sécurité', color: '#06d6a0' },
+  deco_stop: { label: 'Palier de déco', color: '#9b5de5' },
+  surface: { label: 'Surface', color: '#ffd166' },
+};
+
+// Ascent policy and its analysis of the current dive
+let ascentPolicy = loadAscentPolicy();
+let ascentResult = null;
+
+// Optional series charted under the ascent chart
+const EXTRA_SERIES = [
+  { key: 'temperature', label: 'Température', units: '°C', color: '#ffd166', get: s => s.temperature },
+  { key: 'heartRate', label: 'Fréquence cardiaque', units: 'bpm', color: '#ef476f', get: s => s.heartRate },
+  { key: 'ndl', label: 'NDL', units: 'min', color: '#06d6a0', get: s => s.ndl != null ? s.ndl / 60 : null },
+  { key: 'cns', label: 'CNS', units: '%', color: '#ff6b35', get: s => s.cns },
+  { key: 'po2', label: 'PO2', units: 'bar', color: '#9b5de5', get: s => s.po2 },
+  { key: 'pressure', label: 'Pression absolue', units: 'bar', color: '#00b4d8', get: s => s.pressure },
+  { key: 'tankPressure', label: 'Pression bloc', units: 'bar', color: '#06d6a0', get: s => s.tankPressure },
+];
+
 // Cursor state
 let cursor1Idx = null;
 let cursor2Idx = null;
@@ -39,25 +93,55 @@ let touchStartY = 0;
 let longPressActive = false;
 let activeTouchChart = null;
 
-function speedColor(mpm) {
+// Ascent speed against the limit in force: up to half of it, three
+// quarters, the limit itself, then over it
+function speedColor(mpm, limit) {
   if (mpm == null) return '#8899aa';
   if (mpm < 0) return '#9b5de5';
-  const abs = Math.abs(mpm);
-  if (abs > 12) return '#ef476f';
-  if (abs > 9) return '#ff6b35';
-  if (abs > 6) return '#ffd166';
+  if (mpm > limit) return '#ef476f';
+  if (mpm > limit * 0.75) return '#ff6b35';
+  if (mpm > limit * 0.5) return '#ffd166';
   return '#06d6a0';
 }
 
+// Colours follow the rates the compliance report is measured on, whatever
+// smoothing the ascent chart shows, so red is always a reported violation
+function ascentColors() {
+  return ascentResult.rates.map((mpm, i) => speedColor(mpm, ascentResult.limits[i]));
+}
+
 function buildSegmentColors() {
   return {
-    borderColor: ctx => {
-      const r = allAscentRates[ctx.p0DataIndex];
-      return speedColor(r != null ? r * 60 : null);
-    },
+    borderColor: ctx => allAscentColors[ctx.p0DataIndex],
+  };
+}
+
+// Colour bands of speedColor: in m/min under a single limit, in % of the
+// limit in force when it depends on depth
+function speedLegend() {
+  const { bands } = ascentPolicy;
+  const single = bands.length === 1;
+  const fmt = f => (single ? +(f * bands[0].limit).toFixed(1) : f * 100);
+  return {
+    items: [
+      { color: '#9b5de5', label: 'Descente' },
+      { color: '#06d6a0', label: `<${fmt(0.5)}` },
+      { color: '#ffd166', label: `${fmt(0.5)}-${fmt(0.75)}` },
+      { color: '#ff6b35', label: `${fmt(0.75)}-${fmt(1)}` },
+      { color: '#ef476f', label: `>${fmt(1)}` },
+    ],
+    unit: single ? 'm/min' : '% de la limite',
   };
 }
 
+function renderSpeedLegend() {
+  const el = document.getElementById('speed-legend');
+  if (!el) return;
+  const { items, unit } = speedLegend();
+  el.innerHTML = items.map(item => `<span class="legend-item"><i style="background:${item.color}"></i>${item.label}</span>`).join('')
+    + `<span class="legend-unit">${unit}</span>`;
+}
+
 // --- Crosshair + cursor lines plugin ---
 const crosshairPlugin = {
   id: 'crosshairLine',
@@ -106,6 +190,99 @@ function drawCursorLine(chart, globalIdx, color) {
 
 Chart.register(crosshairPlugin);
 
+// --- Phase tints plugin (depth chart only) ---
+const phasesPlugin = {
+  id: 'divePhases',
+  beforeDatasetsDraw(chart) {
+    const { ctx, chartArea } = chart;
+    if (!chartArea || !phases.length) return;
+    const { left, right, top, bottom } = chartArea;
+    ctx.save();
+    for (const phase of phases) {
+      const x1 = Math.max(left, chart.scales.x.getPixelForValue(phase.startIdx));
+      const x2 = Math.min(right, chart.scales.x.getPixelForValue(phase.endIdx));
+      if (x2 <= x1) continue;
+      ctx.fillStyle = `${PHASE_STYLES[phase.type].color}14`;
+      ctx.fillRect(x1, top, x2 - x1, bottom - top);
+    }
+    ctx.restore();
+  },
+};
+
+// --- Ascent violations plugin (depth and ascent charts) ---
+const violationsPlugin = {
+  id: 'ascentViolations',
+  beforeDatasetsDraw(chart) {
+    const { ctx, chartArea } = chart;
+    if (!chartArea || !ascentResult?.violations.length) return;
+    const { left, right, top, bottom } = chartArea;
+    ctx.save();
+    ctx.fillStyle = 'rgba(239, 71, 111, 0.18)';
+    for (const v of ascentResult.violations) {
+      const x1 = Math.max(left, chart.scales.x.getPixelForValue(v.startIdx));
+      const x2 = Math.min(right, chart.scales.x.getPixelForValue(v.endIdx));
+      if (x2 >= left && x1 <= right) ctx.fillRect(x1, top, Math.max(2, x2 - x1), bottom - top);
+    }
+    ctx.restore();
+  },
+};
+
+// --- Event markers plugin (depth chart only) ---
+const eventMarkersPlugin = {
+  id: 'eventMarkers',
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea } = chart;
+    if (!chartArea || !eventMarkers.length) return;
+    ctx.save();
+    for (const marker of eventMarkers) {
+      const { x, y } = markerPosition(chart, marker);
+      if (x < chartArea.left || x > chartArea.right) continue;
+      const selected = marker === selectedEvent;
+      ctx.beginPath();
+      ctx.arc(x, y, selected ? 7 : 5, 0, Math.PI * 2);
+      ctx.fillStyle = EVENT_STYLES[marker.type]?.color || '#8899aa';
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = selected ? '#ffffff' : '#16213e';
+      ctx.stroke();
+    }
+    ctx.restore();
+  },
+};
+
+function markerPosition(chart, marker) {
+  return {
+    x: chart.scales.x.getPixelForValue(marker.idx),
+    y: chart.scales.y.getPixelForValue(allDepths[marker.idx] ?? 0),
+  };
+}
+
+function buildEventMarkers(dive) {
+  return (dive.events || []).map(e => {
+    let idx = dive.samples.findIndex(s => s.elapsed >= e.elapsed);
+    if (idx < 0) idx = dive.samples.length - 1;
+    return { ...e, idx };
+  });
+}
+
+// Marker under a click/tap, within a finger's width
+function findMarkerAt(chart, clientX, clientY) {
+  const rect = chart.canvas.getBoundingClientRect();
+  const x = clientX - rect.left;
+  const y = clientY - rect.top;
+  let best = null;
+  let bestDist = 14;
+  for (const marker of eventMarkers) {
+    const p = markerPosition(chart, marker);
+    const dist = Math.hypot(p.x - x, p.y - y);
+    if (dist < bestDist) {
+      best = marker;
+      bestDist = dist;
+    }
+  }
+  return best;
+}
+
 // --- Get data index from pixel X ---
 function getIndexFromX(chart, clientX) {
   const rect = chart.canvas.getBoundingClientRect();
@@ -117,19 +294,24 @@ function getIndexFromX(chart, clientX) {
   return idx;
 }
 
+// Every chart sharing the time axis
+function allCharts() {
+  return [depthChart, ascentChart, ...extraCharts, tissueChart].filter(Boolean);
+}
+
 // --- Zoom plugin options (synced between charts) ---
-function zoomPluginOptions(otherChartGetter) {
+function zoomPluginOptions() {
   return {
     zoom: {
       wheel: { enabled: true },
       pinch: { enabled: true },
       mode: 'x',
-      onZoom: ({ chart }) => syncZoom(chart, otherChartGetter()),
+      onZoom: ({ chart }) => syncZoomAll(chart),
     },
     pan: {
       enabled: true,
       mode: 'x',
-      onPan: ({ chart }) => syncZoom(chart, otherChartGetter()),
+      onPan: ({ chart }) => syncZoomAll(chart),
     },
   };
 }
@@ -141,6 +323,31 @@ function syncZoom(source, target) {
   target.update('none');
 }
 
+function syncZoomAll(source) {
+  allCharts().forEach(c => {
+    if (c !== source) syncZoom(source, c);
+  });
+}
+
+// --- Shared time axis ---
+function xScaleConfig(gridVisible) {
+  return {
+    type: 'linear',
+    offset: false,
+    ticks: {
+      color: '#8899aa',
+      maxTicksLimit: 8,
+      callback: (val) => {
+        const i = Math.round(val);
+        return i >= 0 && i < allDisplayLabels.length ? allDisplayLabels[i] : '';
+      }
+    },
+    grid: gridVisible ? { color: '#ffffff10' } : { display: false },
+    min: 0,
+    max: allLabels.length - 1,
+  };
+}
+
 // --- Tooltip config ---
 function depthTooltipConfig() {
   return {
@@ -156,10 +363,13 @@ function depthTooltipConfig() {
         return allDisplayLabels[i] ?? '';
       },
       label: ctx => {
+        if (ctx.datasetIndex === 1) {
+          return ctx.parsed.y > 0 ? `Plafond ${ctx.parsed.y.toFixed(1)} m` : '';
+        }
         const i = Math.round(ctx.parsed.x);
         let line = `${ctx.parsed.y?.toFixed(1)} m`;
         if (colorSpeedEnabled) {
-          const mpm = allAscentMpm[i];
+          const mpm = ascentResult?.rates[i];
           if (mpm != null) {
             line += `  |  ${mpm.toFixed(1)} m/min`;
           }
@@ -185,30 +395,52 @@ function ascentTooltipConfig() {
       label: ctx => {
         const v = ctx.parsed.y;
         if (v == null) return '';
+        if (ctx.datasetIndex === 1) return `Limite ${v} m/min`;
         return `${v.toFixed(1)} m/min`;
       },
     },
   };
 }
 
-// --- Show synced tooltips on both charts at given index ---
+function seriesTooltipConfig(series) {
+  return {
+    enabled: true,
+    backgroundColor: '#16213e',
+    bodyColor: '#e0e0e0',
+    borderColor: series.color,
+    borderWidth: 1,
+    callbacks: {
+      title: items => {
+        const i = Math.round(items[0]?.parsed?.x ?? 0);
+        return allDisplayLabels[i] ?? '';
+      },
+      label: ctx => {
+        const v = ctx.parsed.y;
+        if (v == null) return '';
+        return `${series.label}: ${+v.toFixed(2)}${series.units ? ` ${series.units}` : ''}`;
+      },
+    },
+  };
+}
+
+// --- Show synced tooltips on all charts at given index ---
 function showSyncedTooltips(idx) {
-  [depthChart, ascentChart].forEach(chart => {
-    if (!chart) return;
+  allCharts().forEach(chart => {
     const el = [{ datasetIndex: 0, index: idx }];
     chart.setActiveElements(el);
     chart.tooltip.setActiveElements(el, { x: 0, y: 0 });
     chart.update('none');
   });
+  if (cursor2Idx == null) updateTissueBars([idx]);
 }
 
 function hideSyncedTooltips() {
-  [depthChart, ascentChart].forEach(chart => {
-    if (!chart) return;
+  allCharts().forEach(chart => {
     chart.setActiveElements([]);
     chart.tooltip.setActiveElements([], { x: 0, y: 0 });
     chart.update('none');
   });
+  updateTissueBars(null);
 }
 
 // --- Setup reset zoom button ---
@@ -216,14 +448,7 @@ function setupResetZoom() {
   const btn = document.getElementById('btn-reset-zoom');
   if (!btn) return;
   btn.addEventListener('click', () => {
-    if (depthChart) {
-      depthChart.resetZoom();
-      syncZoom(depthChart, ascentChart);
-    }
-    if (ascentChart) {
-      ascentChart.resetZoom();
-      syncZoom(ascentChart, depthChart);
-    }
+    allCharts().forEach(c => c.resetZoom());
   });
 }
 
@@ -249,23 +474,13 @@ export function renderCharts(dive) {
   allDepths = dive.samples.map(s => s.depth ?? null);
   allAscentRates = dive.samples.map(s => s.ascentRate ?? null);
   allAscentMpm = allAscentRates.map(r => r != null ? r * 60 : null);
-  allAscentColors = allAscentMpm.map(mpm => speedColor(mpm));
-
-  const xScaleConfig = (gridVisible) => ({
-    type: 'linear',
-    offset: false,
-    ticks: {
-      color: '#8899aa',
-      maxTicksLimit: 8,
-      callback: (val) => {
-        const i = Math.round(val);
-        return i >= 0 && i < allDisplayLabels.length ? allDisplayLabels[i] : '';
-      }
-    },
-    grid: gridVisible ? { color: '#ffffff10' } : { display: false },
-    min: 0,
-    max: allLabels.length - 1,
-  });
+  ascentPolicy = loadAscentPolicy();
+  ascentResult = analyzeAscent(dive, ascentPolicy);
+  allAscentColors = ascentColors();
+  eventMarkers = buildEventMarkers(dive);
+  selectedEvent = null;
+  decoResult = computeDeco(dive, loadGfDefaults());
+  phases = detectPhases(dive, ceilingData());
 
   // Depth chart — events: only mouse (touch handled manually)
   const ctxDepth = document.getElementById('chart-depth').getContext('2d');
@@ -288,6 +503,16 @@ export function renderCharts(dive) {
         pointRadius: 0,
         pointHitRadius: 8,
         segment: buildSegmentColors(),
+      }, {
+        label: 'Plafond (m)',
+        data: ceilingData(),
+        borderColor: '#ef476f',
+        backgroundColor: 'rgba(239, 71, 111, 0.35)',
+        borderWidth: 1,
+        fill: 'origin',
+        pointRadius: 0,
+        pointHitRadius: 0,
+        hidden: !ceilingEnabled,
       }]
     },
     options: {
@@ -303,9 +528,10 @@ export function renderCharts(dive) {
       plugins: {
         legend: { display: false },
         tooltip: depthTooltipConfig(),
-        zoom: zoomPluginOptions(() => ascentChart),
+        zoom: zoomPluginOptions(),
       },
     },
+    plugins: [phasesPlugin, violationsPlugin, eventMarkersPlugin],
   });
 
   // Ascent rate chart
@@ -322,6 +548,17 @@ export function renderCharts(dive) {
         borderWidth: 0,
         barPercentage: 1.0,
         categoryPercentage: 1.0,
+      }, {
+        type: 'line',
+        label: 'Limite (m/min)',
+        data: ascentResult.limits,
+        borderColor: '#ef476f',
+        borderWidth: 1,
+        borderDash: [4, 4],
+        stepped: true,
+        fill: false,
+        pointRadius: 0,
+        pointHitRadius: 0,
       }]
     },
     options: {
@@ -337,16 +574,30 @@ export function renderCharts(dive) {
       plugins: {
         legend: { display: false },
         tooltip: ascentTooltipConfig(),
-        zoom: zoomPluginOptions(() => depthChart),
+        zoom: zoomPluginOptions(),
       },
     },
+    plugins: [violationsPlugin],
   });
 
-  setupTouchInteraction(dive);
-  setupMouseInteraction(dive);
+  renderTissueCharts(dive);
+  renderSeriesPicker(dive);
+  renderExtraCharts(dive);
+
+  // Extra series charts get theirs in renderExtraCharts
+  const mainCharts = [depthChart, ascentChart, tissueChart].filter(Boolean);
+  setupTouchInteraction(dive, mainCharts);
+  setupMouseInteraction(dive, mainCharts);
+  setupEventTaps();
+  renderEventList(dive);
+  renderPhaseList();
   setupToggleHideDescent();
+  setupDecoSettings(dive);
   setupResetZoom();
   setupSmoothSettings();
+  setupAscentPolicy();
+  renderSpeedLegend();
+  renderAscentReport();
 
   // Reset smooth slider UI
   const slider = document.getElementById('smooth-slider');
@@ -355,9 +606,386 @@ export function renderCharts(dive) {
   if (valueSpan) valueSpan.textContent = '1';
 }
 
+// --- Decompression ceiling ---
+function ceilingData() {
+  return decoResult ? decoResult.points.map(p => p.ceiling) : [];
+}
+
+function loadGfDefaults() {
+  try {
+    return { ...DEFAULT_GF, ...JSON.parse(localStorage.getItem(GF_STORAGE_KEY)) };
+  } catch {
+    return { ...DEFAULT_GF };
+  }
+}
+
+function updateGfLabel() {
+  const label = document.getElementById('gf-label');
+  if (label && decoResult) label.textContent = `GF ${decoResult.gfLow}/${decoResult.gfHigh}`;
+}
+
+function setupDecoSettings(dive) {
+  const toggle = document.getElementById('toggle-ceiling');
+  const btn = document.getElementById('btn-deco-settings');
+  const popup = document.getElementById('deco-popup');
+  const lowInput = document.getElementById('gf-low-input');
+  const highInput = document.getElementById('gf-high-input');
+  if (!toggle || !btn || !popup) return;
+
+  toggle.checked = ceilingEnabled;
+  const defaults = loadGfDefaults();
+  lowInput.value = defaults.gfLow;
+  highInput.value = defaults.gfHigh;
+  updateGfLabel();
+
+  toggle.onchange = () => {
+    ceilingEnabled = toggle.checked;
+    if (depthChart) {
+      depthChart.data.datasets[1].hidden = !ceilingEnabled;
+      depthChart.update('none');
+    }
+  };
+
+  btn.onclick = e => {
+    e.stopPropagation();
+    popup.classList.toggle('hidden');
+    btn.classList.toggle('active', !popup.classList.contains('hidden'));
+  };
+
+  // Defaults only apply to dives without logged dive settings
+  const onGfChange = () => {
+    const gfLow = parseInt(lowInput.value, 10);
+    const gfHigh = parseInt(highInput.value, 10);
+    if (!(gfLow > 0 && gfHigh >= gfLow && gfHigh <= 100)) return;
+    localStorage.setItem(GF_STORAGE_KEY, JSON.stringify({ gfLow, gfHigh }));
+    decoResult = computeDeco(dive, { gfLow, gfHigh });
+    phases = detectPhases(dive, ceilingData());
+    updateGfLabel();
+    renderPhaseList();
+    if (depthChart) {
+      depthChart.data.datasets[1].data = ceilingData();
+      depthChart.update('none');
+    }
+  };
+  lowInput.onchange = onGfChange;
+  highInput.onchange = onGfChange;
+}
+
+// --- Extra series charts (temperature, heart rate, NDL...) ---
+const SERIES_STORAGE_KEY = 'garmin-dive-extra-series';
+const DEFAULT_SERIES = ['temperature', 'tankPressure'];
+
+function availableSeries(dive) {
+  const devSeries = (dive.developerFields || []).map(f => ({
+    key: `dev:${f.key}`,
+    label: f.name,
+    units: f.units,
+    app: f.applicationId ? `Connect IQ ${f.applicationId}${f.applicationVersion != null ? ` v${f.applicationVersion}` : ''}` : null,
+    color: '#118ab2',
+    get: s => s.dev?.[f.key],
+  }));
+  return [...EXTRA_SERIES, ...devSeries]
+    .filter(series => dive.samples.some(s => series.get(s) != null));
+}
+
+function loadSelectedSeries() {
+  try {
+    return JSON.parse(localStorage.getItem(SERIES_STORAGE_KEY)) || DEFAULT_SERIES;
+  } catch {
+    return DEFAULT_SERIES;
+  }
+}
+
+function saveSelectedSeries(keys) {
+  localStorage.setItem(SERIES_STORAGE_KEY, JSON.stringify(keys));
+}
+
+function renderSeriesPicker(dive) {
+  const picker = document.getElementById('series-picker');
+  const toggles = document.getElementById('series-toggles');
+  const series = availableSeries(dive);
+  picker.classList.toggle('hidden', series.length === 0);
+  toggles.innerHTML = '';
+
+  const selected = new Set(loadSelectedSeries());
+  series.forEach(sr => {
+    const label = document.createElement('label');
+    label.className = 'toggle';
+    if (sr.app) label.title = sr.app;
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.value = sr.key;
+    input.checked = selected.has(sr.key);
+    const span = document.createElement('span');
+    span.className = 'toggle-label';
+    span.textContent = sr.label;
+    label.append(input, span);
+    toggles.appendChild(label);
+
+    input.addEventListener('change', () => {
+      if (input.checked) selected.add(sr.key);
+      else selected.delete(sr.key);
+      saveSelectedSeries([...selected]);
+      renderExtraCharts(dive);
+    });
+  });
+}
+
+function destroyExtraCharts() {
+  extraCharts.forEach(c => c.destroy());
+  extraCharts = [];
+  const container = document.getElementById('extra-charts');
+  if (container) container.innerHTML = '';
+}
+
+function renderExtraCharts(dive) {
+  destroyExtraCharts();
+  const container = document.getElementById('extra-charts');
+  const selected = new Set(loadSelectedSeries());
+
+  availableSeries(dive).filter(sr => selected.has(sr.key)).forEach(sr => {
+    const card = document.createElement('div');
+    card.className = 'card chart-card';
+    card.innerHTML = `
+      <div class="chart-header"><h3></h3></div>
+      <div class="chart-container chart-container-small"><canvas></canvas></div>
+    `;
+    card.querySelector('h3').textContent = sr.units ? `${sr.label} (${sr.units})` : sr.label;
+    container.appendChild(card);
+
+    const chart = new Chart(card.querySelector('canvas').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: allLabels,
+        datasets: [{
+          label: sr.label,
+          data: dive.samples.map(s => sr.get(s) ?? null),
+          borderColor: sr.color,
+          borderWidth: 2,
+          pointRadius: 0,
+          pointHitRadius: 8,
+          spanGaps: true,
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        events: ['mousemove', 'mouseout'],
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+          y: { ticks: { color: '#8899aa' }, grid: { color: '#ffffff10' } },
+          x: xScaleConfig(false),
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: seriesTooltipConfig(sr),
+          zoom: zoomPluginOptions(),
+        },
+      },
+    });
+    extraCharts.push(chart);
+    syncZoom(depthChart, chart);
+    setupTouchInteraction(dive, [chart]);
+    setupMouseInteraction(dive, [chart]);
+  });
+}
+
+// --- Tissue saturation ---
+// Blue shades while on-gassing, green to red up to the M-value (100 %)
+function tissueColor(gradient) {
+  if (gradient == null) return 'transparent';
+  if (gradient < 0) {
+    const depth = Math.min(1, -gradient / 100);
+    return `hsl(200, 85%, ${Math.round(18 + 32 * depth)}%)`;
+  }
+  const load = Math.min(1, gradient / 100);
+  return `hsl(${Math.round(120 - 120 * load)}, 85%, 50%)`;
+}
+
+function buildTissueImage(points) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, points.length);
+  canvas.height = 16;
+  const ctx = canvas.getContext('2d');
+  points.forEach((p, i) => {
+    p.gradients.forEach((g, c) => {
+      ctx.fillStyle = tissueColor(g);
+      ctx.fillRect(i, c, 1, 1);
+    });
+  });
+  return canvas;
+}
+
+const tissueHeatmapPlugin = {
+  id: 'tissueHeatmap',
+  beforeDatasetsDraw(chart) {
+    if (!tissueImage) return;
+    const { ctx, chartArea, scales: { x, y } } = chart;
+    const x0 = x.getPixelForValue(-0.5);
+    const x1 = x.getPixelForValue(tissueImage.width - 0.5);
+    const y0 = y.getPixelForValue(0.5);
+    const y1 = y.getPixelForValue(16.5);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+    ctx.clip();
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(tissueImage, x0, Math.min(y0, y1), x1 - x0, Math.abs(y1 - y0));
+    ctx.restore();
+  }
+};
+
+function tissueTooltipConfig() {
+  return {
+    enabled: true,
+    backgroundColor: '#16213e',
+    bodyColor: '#e0e0e0',
+    borderColor: '#8899aa',
+    borderWidth: 1,
+    callbacks: {
+      title: items => {
+        const i = Math.round(items[0]?.parsed?.x ?? 0);
+        return allDisplayLabels[i] ?? '';
+      },
+      label: ctx => {
+        const p = decoResult?.points[Math.round(ctx.parsed.x)];
+        if (!p) return '';
+        return `Directeur : C${p.leading + 1} (${Math.round(p.gradients[p.leading])} %)`;
+      },
+    },
+  };
+}
+
+function destroyTissueCharts() {
+  if (tissueChart) { tissueChart.destroy(); tissueChart = null; }
+  if (tissueBarChart) { tissueBarChart.destroy(); tissueBarChart = null; }
+  tissueImage = null;
+}
+
+function renderTissueCharts(dive) {
+  destroyTissueCharts();
+  const card = document.getElementById('tissue-card');
+  const points = decoResult?.points || [];
+  if (!card) return;
+  card.classList.toggle('hidden', points.length === 0);
+  if (points.length === 0) return;
+
+  tissueImage = buildTissueImage(points);
+
+  tissueChart = new Chart(document.getElementById('chart-tissues').getContext('2d'), {
+    type: 'line',
+    data: {
+      labels: allLabels,
+      datasets: [{
+        label: 'Compartiment directeur',
+        data: points.map(p => p.leading + 1),
+        borderColor: '#ffffff',
+        borderWidth: 1.5,
+        stepped: true,
+        pointRadius: 0,
+        pointHitRadius: 8,
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      events: ['mousemove', 'mouseout'],
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        y: {
+          reverse: true,
+          min: 0.5,
+          max: 16.5,
+          ticks: {
+            color: '#8899aa',
+            stepSize: 1,
+            callback: v => (v === 1 || v === 16 || v % 4 === 0 ? `C${v}` : ''),
+          },
+          grid: { display: false },
+        },
+        x: xScaleConfig(false),
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: tissueTooltipConfig(),
+        zoom: zoomPluginOptions(),
+      },
+    },
+    plugins: [tissueHeatmapPlugin],
+  });
+
+  tissueBarChart = new Chart(document.getElementById('chart-tissue-bars').getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels: ZHL16C.map((c, i) => `C${i + 1}`),
+      datasets: [],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      scales: {
+        y: {
+          suggestedMin: 0,
+          suggestedMax: 100,
+          ticks: { color: '#8899aa', callback: v => `${v} %` },
+          grid: { color: '#ffffff10' },
+        },
+        x: { ticks: { color: '#8899aa', autoSkip: false, font: { size: 9 } }, grid: { display: false } },
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          backgroundColor: '#16213e',
+          bodyColor: '#e0e0e0',
+          callbacks: {
+            label: ctx => `${ctx.dataset.label} : ${Math.round(ctx.parsed.y)} %`,
+          },
+        },
+      },
+    },
+  });
+  updateTissueBars(null);
+}
+
+/**
+ * Show compartment gradients at the given sample indices (one or two
+ * cursors), or at the end of the dive without a cursor. The leading
+ * compartment is outlined.
+ */
+function updateTissueBars(indices) {
+  if (!tissueBarChart || !decoResult) return;
+  const points = decoResult.points;
+  const atEnd = !indices;
+  const idxs = atEnd ? [points.length - 1] : indices;
+  const outlines = ['#ff6b35', '#00b4d8'];
+
+  tissueBarChart.data.datasets = idxs.map((idx, n) => {
+    const p = points[idx];
+    const border = atEnd ? '#ffffff' : outlines[n];
+    return {
+      label: atEnd ? 'Fin' : allDisplayLabels[idx],
+      data: p.gradients,
+      backgroundColor: p.gradients.map(g => tissueColor(g)),
+      borderColor: p.gradients.map((g, c) => (c === p.leading ? border : 'transparent')),
+      borderWidth: 2,
+    };
+  });
+  tissueBarChart.update('none');
+
+  const title = document.getElementById('tissue-bars-title');
+  if (title) {
+    title.textContent = atEnd
+      ? 'En fin de plongée'
+      : idxs.map(idx => allDisplayLabels[idx]).join(' → ');
+  }
+}
+
 // --- Touch interaction ---
-function setupTouchInteraction(dive) {
-  [depthChart, ascentChart].forEach(chart => {
+function setupTouchInteraction(dive, charts) {
+  charts.forEach(chart => {
     const canvas = chart.canvas;
 
     canvas.addEventListener('touchstart', e => {
@@ -412,7 +1040,7 @@ function setupTouchInteraction(dive) {
             cursor1Idx = idx;
             cursor2Idx = null;
             showSingleCursor();
-            updateCursorInfo(dive.samples[idx]);
+            updateCursorInfo(dive.samples[idx], idx);
             showSyncedTooltips(idx);
             updateCharts();
           }
@@ -448,7 +1076,7 @@ function setupTouchInteraction(dive) {
         const idx = getIndexFromX(activeTouchChart, e.touches[0].clientX);
         if (idx != null) {
           cursor1Idx = idx;
-          updateCursorInfo(dive.samples[idx]);
+          updateCursorInfo(dive.samples[idx], idx);
           showSyncedTooltips(idx);
           updateCharts();
         }
@@ -486,16 +1114,14 @@ function cancelLongPress() {
 }
 
 function setPanEnabled(enabled) {
-  [depthChart, ascentChart].forEach(c => {
-    if (!c) return;
+  allCharts().forEach(c => {
     c.options.plugins.zoom.pan.enabled = enabled;
     c.update('none');
   });
 }
 
 function setZoomEnabled(enabled) {
-  [depthChart, ascentChart].forEach(c => {
-    if (!c) return;
+  allCharts().forEach(c => {
     c.options.plugins.zoom.zoom.pinch.enabled = enabled;
     c.options.plugins.zoom.zoom.wheel.enabled = enabled;
     c.update('none');
@@ -503,15 +1129,15 @@ function setZoomEnabled(enabled) {
 }
 
 // --- Mouse (desktop): synced tooltips on hover ---
-function setupMouseInteraction(dive) {
-  [depthChart, ascentChart].forEach(source => {
+function setupMouseInteraction(dive, charts) {
+  charts.forEach(source => {
     const canvas = source.canvas;
 
     canvas.addEventListener('mousemove', e => {
       const idx = getIndexFromX(source, e.clientX);
       if (idx != null) {
         showSyncedTooltips(idx);
-        updateCursorInfo(dive.samples[idx]);
+        updateCursorInfo(dive.samples[idx], idx);
       }
     });
 
@@ -522,10 +1148,46 @@ function setupMouseInteraction(dive) {
   });
 }
 
+// --- Events: tap a marker or a list row to jump to it ---
+// The canvas outlives its charts: one handler, replaced on each render
+function setupEventTaps() {
+  depthChart.canvas.onclick = e => {
+    if (!depthChart || !currentDive) return;
+    const marker = findMarkerAt(depthChart, e.clientX, e.clientY);
+    if (marker) selectEvent(marker, currentDive);
+  };
+}
+
+function selectEvent(marker, dive) {
+  selectedEvent = marker;
+  showSyncedTooltips(marker.idx);
+  updateCursorInfo(dive.samples[marker.idx], marker.idx);
+  document.querySelectorAll('#event-list .event-row').forEach(row => {
+    row.classList.toggle('active', Number(row.dataset.index) === eventMarkers.indexOf(marker));
+  });
+  updateCharts();
+}
+
+function renderEventList(dive) {
+  const el = document.getElementById('event-list');
+  if (!el) return;
+  el.classList.toggle('hidden', eventMarkers.length === 0);
+  el.innerHTML = '<h3>Événements</h3>' + eventMarkers.map((m, i) => `
+    <div class="event-row" data-index="${i}">
+      <i style="background:${EVENT_STYLES[m.type]?.color || '#8899aa'}"></i>
+      <span class="event-time">${formatDuration(m.elapsed)}</span>
+      <span class="event-label">${eventLabel(m, dive)}</span>
+      <span class="event-depth">${allDepths[m.idx] != null ? allDepths[m.idx].toFixed(1) + ' m' : '—'}</span>
+    </div>
+  `).join('');
+  el.querySelectorAll('.event-row').forEach(row => {
+    row.addEventListener('click', () => selectEvent(eventMarkers[Number(row.dataset.index)], dive));
+  });
+}
+
 // --- Helpers ---
 function updateCharts() {
-  if (depthChart) depthChart.update('none');
-  if (ascentChart) ascentChart.update('none');
+  allCharts().forEach(c => c.update('none'));
 }
 
 function clearCursorDisplay() {
@@ -533,6 +1195,9 @@ function clearCursorDisplay() {
   document.getElementById('cursor-depth').innerHTML = '<small>Prof.</small>—';
   document.getElementById('cursor-temp').innerHTML = '<small>Temp.</small>—';
   document.getElementById('cursor-ascent-rate').innerHTML = '<small>Vitesse</small>—';
+  document.getElementById('cursor-ceiling').innerHTML = '<small>Plafond</small>—';
+  document.getElementById('cursor-ndl').innerHTML = '<small>NDL</small>—';
+  document.getElementById('cursor-gf99').innerHTML = '<small>GF99</small>—';
 }
 
 function showSingleCursor() {
@@ -572,10 +1237,21 @@ function updateDualCursorUI(dive) {
   document.getElementById('dual-dt').textContent = `ΔT ${dtMin}:${dtSec.toString().padStart(2, '0')}`;
   document.getElementById('dual-dd').textContent = `ΔD ${dd.toFixed(1)} m`;
   document.getElementById('dual-speed').textContent = `V ${avgSpeed.toFixed(1)} m/min`;
+
+  // Consumption over the range, when a transmitter logged pressures
+  const gas = computeConsumption(dive, i1, i2);
+  const sacEl = document.getElementById('dual-sac');
+  sacEl.classList.toggle('hidden', !gas);
+  if (gas) {
+    sacEl.textContent = gas.rmv != null
+      ? `RMV ${gas.rmv.toFixed(1)} L/min`
+      : `SAC ${gas.sac.toFixed(2)} bar/min`;
+  }
+  updateTissueBars([i1, i2]);
 }
 
 // --- Single cursor info ---
-function updateCursorInfo(sample) {
+function updateCursorInfo(sample, idx) {
   const m = Math.floor(sample.elapsed / 60);
   const s = sample.elapsed % 60;
 
@@ -587,6 +1263,14 @@ function updateCursorInfo(sample) {
     `<small>Temp.</small>${sample.temperature != null ? sample.temperature + ' °C' : '—'}`;
   document.getElementById('cursor-ascent-rate').innerHTML =
     `<small>Vitesse</small>${sample.ascentRate != null ? (sample.ascentRate * 60).toFixed(1) + ' m/min' : '—'}`;
+
+  const deco = decoResult?.points[idx];
+  document.getElementById('cursor-ceiling').innerHTML =
+    `<small>Plafond</small>${deco ? (deco.ceiling > 0 ? deco.ceiling.toFixed(1) + ' m' : 'Aucun') : '—'}`;
+  document.getElementById('cursor-ndl').innerHTML =
+    `<small>NDL</small>${deco ? (deco.ndl != null ? deco.ndl + ' min' : '> 99 min') : '—'}`;
+  document.getElementById('cursor-gf99').innerHTML =
+    `<small>GF99</small>${deco ? Math.round(deco.gf99) + ' %' : '—'}`;
 }
 
 // --- Toggle hide descent speeds ---
@@ -636,15 +1320,6 @@ function applySmoothing() {
     allAscentRates = computeSmoothedRates(currentDive.samples, smoothFactor);
   }
   allAscentMpm = allAscentRates.map(r => r != null ? r * 60 : null);
-  allAscentColors = allAscentMpm.map(mpm => speedColor(mpm));
-
-  // Update depth chart segment colors
-  if (depthChart) {
-    depthChart.data.datasets[0].segment = buildSegmentColors();
-    depthChart.update('none');
-  }
-
-  // Update ascent chart
   updateAscentChartData();
   if (ascentChart) ascentChart.update();
 }
@@ -678,15 +1353,225 @@ function setupSmoothSettings() {
   });
 }
 
+// --- Dive phases ---
+// "Palier de sécurité 3:10 à 4.8 m", "Descente 1:20 · 0.0 → 18.2 m · 13.6 m/min"
+function phaseDetail(phase) {
+  const duration = formatDuration(phase.duration);
+  switch (phase.type) {
+    case 'safety_stop':
+    case 'deco_stop':
+      return `${duration} à ${phase.avgDepth.toFixed(1)} m`;
+    case 'descent':
+    case 'ascent':
+      return `${duration} · ${phase.fromDepth.toFixed(1)} → ${phase.toDepth.toFixed(1)} m · ${phase.speed.toFixed(1)} m/min`;
+    case 'bottom':
+      return `${duration} · moy. ${phase.avgDepth.toFixed(1)} m`;
+    default:
+      return duration;
+  }
+}
+
+function renderPhaseList() {
+  const el = document.getElementById('dive-phases');
+  if (!el) return;
+  el.classList.toggle('hidden', phases.length === 0);
+  el.innerHTML = '<div class="stat-label">Phases</div>' + phases.map((p, i) => `
+    <div class="phase-row" data-index="${i}">
+      <i style="background:${PHASE_STYLES[p.type].color}"></i>
+      <span class="event-time">${formatDuration(p.start)}</span>
+      <span>${PHASE_STYLES[p.type].label} ${phaseDetail(p)}</span>
+    </div>
+  `).join('');
+  el.querySelectorAll('.phase-row').forEach(row => {
+    row.addEventListener('click', () => {
+      const phase = phases[Number(row.dataset.index)];
+      el.querySelectorAll('.phase-row').forEach(r => r.classList.toggle('active', r === row));
+      zoomToRange(phase.startIdx, phase.endIdx);
+    });
+  });
+}
+
+// --- Ascent compliance ---
+function renderAscentReport() {
+  const el = document.getElementById('ascent-report-body');
+  const scoreEl = document.getElementById('ascent-score');
+  if (!el || !scoreEl || !ascentResult) return;
+  const { violations, score, ascentTime, violationTime } = ascentResult;
+  scoreEl.textContent = score != null ? `${score} %` : '—';
+  scoreEl.className = `ascent-score${score != null ? ` ${scoreLevel(score)}` : ''}`;
+  document.getElementById('ascent-policy-label').textContent = `Limite ${policyLabel(ascentPolicy)}`;
+
+  if (!violations.length) {
+    el.innerHTML = `<p class="ascent-ok">${ascentTime ? 'Aucun dépassement de la limite' : 'Aucune remontée enregistrée'}</p>`;
+    return;
+  }
+  el.innerHTML = `
+    <p class="ascent-total">${violations.length} dépassement${violations.length > 1 ? 's' : ''} · ${formatDuration(violationTime)} sur ${formatDuration(ascentTime)} de remontée</p>
+    ${violations.map((v, i) => `
+      <div class="ascent-row" data-index="${i}">
+        <span class="event-time">${formatDuration(v.start)}</span>
+        <span>${v.fromDepth.toFixed(1)} → ${v.toDepth.toFixed(1)} m</span>
+        <span>max ${v.peak.toFixed(1)} · moy. ${v.average.toFixed(1)} m/min</span>
+        <span class="event-depth">${formatDuration(v.duration)}</span>
+      </div>
+    `).join('')}
+  `;
+  el.querySelectorAll('.ascent-row').forEach(row => {
+    row.addEventListener('click', () => {
+      el.querySelectorAll('.ascent-row').forEach(r => r.classList.toggle('active', r === row));
+      const v = violations[Number(row.dataset.index)];
+      zoomToRange(v.startIdx, v.endIdx);
+    });
+  });
+}
+
+// Zoom every chart on samples startIdx..endIdx, with as much time on each side
+function zoomToRange(startIdx, endIdx) {
+  const margin = Math.max(10, endIdx - startIdx);
+  const min = Math.max(0, startIdx - margin);
+  const max = Math.min(allLabels.length - 1, endIdx + margin);
+  allCharts().forEach(c => c.zoomScale('x', { min, max }, 'none'));
+}
+
+// New policy: analysis, colours, limit line, legend and report
+function refreshAscentAnalysis() {
+  if (!currentDive) return;
+  ascentResult = analyzeAscent(currentDive, ascentPolicy);
+  allAscentColors = ascentColors();
+  if (depthChart) {
+    depthChart.data.datasets[0].segment = buildSegmentColors();
+    depthChart.update('none');
+  }
+  if (ascentChart) {
+    ascentChart.data.datasets[1].data = ascentResult.limits;
+    updateAscentChartData();
+    ascentChart.update('none');
+  }
+  renderSpeedLegend();
+  renderAscentReport();
+}
+
+function setupAscentPolicy() {
+  const btn = document.getElementById('btn-ascent-policy');
+  const popup = document.getElementById('ascent-policy-popup');
+  if (!btn || !popup) return;
+  const single = document.getElementById('ascent-limit');
+  const deep = document.getElementById('ascent-deep-limit');
+  const threshold = document.getElementById('ascent-threshold');
+  const shallow = document.getElementById('ascent-shallow-limit');
+  const modes = popup.querySelectorAll('input[name="ascent-mode"]');
+
+  // The editor handles one limit or two depth bands
+  const { bands } = ascentPolicy;
+  const byDepth = bands.length > 1;
+  modes.forEach(r => { r.checked = r.value === (byDepth ? 'depth' : 'single'); });
+  single.value = bands[0].limit;
+  deep.value = byDepth ? bands[0].limit : 9;
+  threshold.value = byDepth ? bands[0].depth : 10;
+  shallow.value = byDepth ? bands[bands.length - 1].limit : 3;
+
+  btn.onclick = e => {
+    e.stopPropagation();
+    popup.classList.toggle('hidden');
+    btn.classList.toggle('active', !popup.classList.contains('hidden'));
+  };
+
+  const onChange = () => {
+    const mode = popup.querySelector('input[name="ascent-mode"]:checked')?.value;
+    const policy = mode === 'depth'
+      ? { bands: [{ depth: Number(threshold.value), limit: Number(deep.value) }, { depth: 0, limit: Number(shallow.value) }] }
+      : { bands: [{ depth: 0, limit: Number(single.value) }] };
+    if (!policy.bands.every(b => b.limit > 0) || (mode === 'depth' && !(policy.bands[0].depth > 0))) return;
+    saveAscentPolicy(policy);
+    ascentPolicy = loadAscentPolicy();
+    refreshAscentAnalysis();
+  };
+  popup.querySelectorAll('input').forEach(input => { input.onchange = onChange; });
+}
+
+// --- Share image ---
+const SHARE_BG = '#16213e';
+
+/**
+ * PNG of the depth and ascent charts in their current zoom window, under a
+ * header (date, site, max depth, duration, time window) and above the speed
+ * colour legend. Resolves to null without rendered charts.
+ */
+export function renderShareImage(dive) {
+  if (!depthChart || !ascentChart) return Promise.resolve(null);
+  const parts = [depthChart.canvas, ascentChart.canvas];
+  const width = parts[0].width;
+  const ratio = width / (parts[0].clientWidth || width); // device pixels per CSS pixel
+  const pad = 12 * ratio;
+  const headerHeight = 52 * ratio;
+  const legendHeight = 28 * ratio;
+  const height = headerHeight + parts.reduce((sum, c) => sum + c.height + pad, 0) + legendHeight;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = SHARE_BG;
+  ctx.fillRect(0, 0, width, height);
+
+  // Header
+  const site = dive.log?.site?.trim();
+  const { min, max } = depthChart.scales.x;
+  const first = dive.samples[Math.max(0, Math.round(min))];
+  const last = dive.samples[Math.min(dive.samples.length - 1, Math.round(max))];
+  const zoomed = min > 0 || max < dive.samples.length - 1;
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#e0e0e0';
+  ctx.font = `bold ${16 * ratio}px sans-serif`;
+  ctx.fillText([formatDate(dive.startDate), site].filter(Boolean).join(' · '), pad, pad);
+  ctx.fillStyle = '#8899aa';
+  ctx.font = `${12 * ratio}px sans-serif`;
+  const facts = [`Prof. max ${dive.maxDepth?.toFixed(1) || '—'} m`, `Durée ${formatDuration(dive.totalTime)}`];
+  if (zoomed && first && last) facts.push(`Vue ${formatDuration(first.elapsed)} – ${formatDuration(last.elapsed)}`);
+  ctx.fillText(facts.join(' · '), pad, pad + 22 * ratio);
+
+  // Charts
+  let top = headerHeight;
+  parts.forEach(c => {
+    ctx.drawImage(c, 0, top);
+    top += c.height + pad;
+  });
+
+  // Speed legend
+  let x = pad;
+  const y = top + legendHeight / 2 - pad / 2;
+  ctx.textBaseline = 'middle';
+  ctx.font = `${11 * ratio}px sans-serif`;
+  const legend = speedLegend();
+  [...legend.items, { color: null, label: legend.unit }].forEach(item => {
+    if (item.color) {
+      ctx.fillStyle = item.color;
+      ctx.fillRect(x, y - 4 * ratio, 12 * ratio, 8 * ratio);
+      x += 16 * ratio;
+    }
+    ctx.fillStyle = '#8899aa';
+    ctx.fillText(item.label, x, y);
+    x += ctx.measureText(item.label).width + 12 * ratio;
+  });
+
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
 export function destroyCharts() {
   if (depthChart) { depthChart.destroy(); depthChart = null; }
   if (ascentChart) { ascentChart.destroy(); ascentChart = null; }
+  destroyExtraCharts();
+  destroyTissueCharts();
   currentDive = null;
   cursor1Idx = null;
   cursor2Idx = null;
   colorSpeedEnabled = true;
   hideDescentEnabled = false;
   smoothFactor = 1;
+  eventMarkers = [];
+  selectedEvent = null;
+  ascentResult = null;
+  phases = [];
   allLabels = [];
   allDepths = [];
   allAscentMpm = [];
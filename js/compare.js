@@ -0,0 +1,220 @@
+/**
+ * Compare mode: depth and ascent rate of several dives overlaid on shared
+ * time axes, aligned on the start of the recording or of the descent.
+ * The cursor (hover, tap) reads every dive at the same aligned time.
+ */
+import { formatDuration } from './dive-data.js';
+
+export const COMPARE_COLORS = ['#00b4d8', '#ff6b35', '#06d6a0', '#ffd166', '#ef476f', '#9b5de5'];
+const DESCENT_DEPTH = 1; // m, the descent starts once below it
+
+let compareCharts = [];
+let series = []; // [{ label, color, points: [{ t, depth, rate }] }]
+let cursorTime = null;
+
+/**
+ * Elapsed time (s) at which a dive leaves the surface.
+ */
+export function descentStart(dive) {
+  const s = (dive.samples || []).find(p => (p.depth ?? 0) >= DESCENT_DEPTH);
+  return s ? s.elapsed : 0;
+}
+
+/**
+ * Samples of a dive on the compare time axis: [{ t (s), depth (m), rate (m/min) }].
+ * align: 'elapsed' keeps the recorded times, 'descent' puts 0 at descentStart.
+ */
+export function alignedSamples(dive, align = 'elapsed') {
+  const offset = align === 'descent' ? descentStart(dive) : 0;
+  return (dive.samples || []).map(s => ({
+    t: s.elapsed - offset,
+    depth: s.depth ?? null,
+    rate: s.ascentRate != null ? s.ascentRate * 60 : null,
+  }));
+}
+
+/**
+ * Point of `points` (sorted by t) in effect at time `t`: the last one at or
+ * before it. Null before the first point or after the last.
+ */
+export function pointAt(points, t) {
+  if (!points.length || t < points[0].t || t > points[points.length - 1].t) return null;
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (points[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return points[lo];
+}
+
+const formatTime = t => (t < 0 ? `-${formatDuration(-t)}` : formatDuration(t));
+
+// Vertical cursor line at cursorTime
+const cursorPlugin = {
+  id: 'compareCursor',
+  afterDatasetsDraw(chart) {
+    if (cursorTime == null) return;
+    const x = chart.scales.x.getPixelForValue(cursorTime);
+    const { top, bottom, left, right } = chart.chartArea;
+    if (x < left || x > right) return;
+    const ctx = chart.ctx;
+    ctx.save();
+    ctx.strokeStyle = '#ffffff80';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, top);
+    ctx.lineTo(x, bottom);
+    ctx.stroke();
+    ctx.restore();
+  },
+};
+
+function syncCompareZoom(source) {
+  compareCharts.forEach(c => {
+    if (c === source) return;
+    c.options.scales.x.min = source.scales.x.min;
+    c.options.scales.x.max = source.scales.x.max;
+    c.update('none');
+  });
+}
+
+function setCursor(t) {
+  cursorTime = t;
+  renderCursorCard();
+  compareCharts.forEach(c => c.update('none'));
+}
+
+function renderCursorCard() {
+  const el = document.getElementById('compare-cursor');
+  if (!el) return;
+  if (cursorTime == null) {
+    el.innerHTML = '<p class="compare-hint">Survoler ou toucher un graphique pour lire chaque plongée au même instant.</p>';
+    return;
+  }
+  el.innerHTML = `<h3>${formatTime(Math.round(cursorTime))}</h3>`;
+  series.forEach(s => {
+    const p = pointAt(s.points, cursorTime);
+    const row = document.createElement('div');
+    row.className = 'compare-row';
+    row.innerHTML = '<i></i><span class="compare-label"></span><span></span><span></span>';
+    row.querySelector('i').style.background = s.color;
+    row.querySelector('.compare-label').textContent = s.label;
+    const [, , depth, rate] = row.children;
+    depth.textContent = p?.depth != null ? `${p.depth.toFixed(1)} m` : '—';
+    rate.textContent = p?.rate != null ? `${p.rate > 0 ? '↑' : '↓'} ${Math.abs(p.rate).toFixed(1)} m/min` : '—';
+    el.appendChild(row);
+  });
+}
+
+function renderLegend() {
+  const el = document.getElementById('compare-legend');
+  if (!el) return;
+  el.innerHTML = '';
+  series.forEach(s => {
+    const item = document.createElement('span');
+    item.className = 'legend-item';
+    item.innerHTML = '<i></i>';
+    item.querySelector('i').style.background = s.color;
+    item.append(s.label);
+    el.appendChild(item);
+  });
+}
+
+function compareChart(canvasId, key, { reverse, units, min, max }) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return null;
+  return new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: {
+      datasets: series.map(s => ({
+        label: s.label,
+        data: s.points.map(p => ({ x: p.t, y: p[key] })),
+        borderColor: s.color,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2,
+        spanGaps: true,
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      events: ['mousemove', 'click', 'touchstart', 'touchmove'],
+      onHover: (e, _, chart) => {
+        if (e.x == null) return;
+        const { left, right } = chart.chartArea;
+        if (e.x >= left && e.x <= right) setCursor(chart.scales.x.getValueForPixel(e.x));
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          min,
+          max,
+          ticks: { color: '#8899aa', maxTicksLimit: 8, callback: v => formatTime(v) },
+          grid: { color: '#ffffff10' },
+        },
+        y: {
+          reverse,
+          beginAtZero: true,
+          title: { display: true, text: units, color: '#8899aa' },
+          ticks: { color: '#8899aa' },
+          grid: { color: '#ffffff10' },
+        },
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: { enabled: false },
+        zoom: {
+          zoom: {
+            wheel: { enabled: true },
+            pinch: { enabled: true },
+            mode: 'x',
+            onZoom: ({ chart }) => syncCompareZoom(chart),
+          },
+          pan: {
+            enabled: true,
+            mode: 'x',
+            onPan: ({ chart }) => syncCompareZoom(chart),
+          },
+        },
+      },
+    },
+    plugins: [cursorPlugin],
+  });
+}
+
+/**
+ * Draw the compare charts for `dives`, labelled by `labels` (same order).
+ */
+export function renderCompare(dives, labels, align = 'elapsed') {
+  destroyCompareCharts();
+  series = dives.map((dive, i) => ({
+    label: labels[i],
+    color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+    points: alignedSamples(dive, align),
+  }));
+  const times = series.flatMap(s => (s.points.length ? [s.points[0].t, s.points[s.points.length - 1].t] : []));
+  const range = { min: Math.min(0, ...times), max: Math.max(60, ...times) };
+
+  renderLegend();
+  renderCursorCard();
+  compareCharts = [
+    compareChart('chart-compare-depth', 'depth', { reverse: true, units: 'm', ...range }),
+    compareChart('chart-compare-ascent', 'rate', { reverse: false, units: 'm/min', ...range }),
+  ].filter(Boolean);
+}
+
+export function resetCompareZoom() {
+  compareCharts.forEach(c => c.resetZoom());
+}
+
+export function destroyCompareCharts() {
+  compareCharts.forEach(c => c.destroy());
+  compareCharts = [];
+  series = [];
+  cursorTime = null;
+}
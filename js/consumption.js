@@ -0,0 +1,84 @@
+/**
+ * Gas consumption: SAC (bar/min) and RMV (L/min) from tank pressures.
+ * Pressures come from a transmitter (sample tankPressure) or, for the whole
+ * dive only, from start/end pressures entered by hand.
+ */
+import { ambientPressure } from './deco.js';
+
+/**
+ * Consumption between two sample indices (the whole dive by default).
+ * Returns { pressureUsed (bar), duration (s), avgAmbient (bar), sac, rmv,
+ * source: 'transmitter' | 'manual' }, or null without usable pressures.
+ * `rmv` is null while the dive has no tank size.
+ */
+export function computeConsumption(dive, startIdx = 0, endIdx = (dive.samples?.length || 0) - 1) {
+  const samples = dive.samples || [];
+  if (endIdx <= startIdx || !samples[startIdx] || !samples[endIdx]) return null;
+
+  const pressures = rangePressures(dive, startIdx, endIdx);
+  if (!pressures || pressures.start <= pressures.end) return null;
+
+  const from = samples[pressures.startIdx];
+  const to = samples[pressures.endIdx];
+  const duration = to.elapsed - from.elapsed;
+  if (duration <= 0) return null;
+
+  // Same water and surface pressure as the deco model
+  const avgAmbient = ambientPressure(averageDepth(samples, pressures.startIdx, pressures.endIdx), dive.settings);
+  const pressureUsed = pressures.start - pressures.end;
+  const sac = pressureUsed / (duration / 60) / avgAmbient;
+
+  return {
+    pressureUsed,
+    duration,
+    avgAmbient,
+    sac,
+    rmv: dive.tankSize ? sac * dive.tankSize : null,
+    source: pressures.source,
+  };
+}
+
+export function hasTankPressures(dive) {
+  return (dive.samples || []).some(s => s.tankPressure != null);
+}
+
+// First and last known pressures inside the range
+function rangePressures(dive, startIdx, endIdx) {
+  const samples = dive.samples;
+  if (hasTankPressures(dive)) {
+    let first = null;
+    let last = null;
+    for (let i = startIdx; i <= endIdx; i++) {
+      if (samples[i].tankPressure == null) continue;
+      if (first == null) first = i;
+      last = i;
+    }
+    if (first == null || last === first) return null;
+    return {
+      start: samples[first].tankPressure,
+      end: samples[last].tankPressure,
+      startIdx: first,
+      endIdx: last,
+      source: 'transmitter',
+    };
+  }
+
+  // Hand-entered pressures only describe the whole dive
+  const manual = dive.manualPressures;
+  const wholeDive = startIdx === 0 && endIdx === samples.length - 1;
+  if (!wholeDive || manual?.start == null || manual?.end == null) return null;
+  return { start: manual.start, end: manual.end, startIdx, endIdx, source: 'manual' };
+}
+
+// Time-weighted mean depth
+function averageDepth(samples, startIdx, endIdx) {
+  let area = 0;
+  let time = 0;
+  for (let i = startIdx + 1; i <= endIdx; i++) {
+    const dt = samples[i].elapsed - samples[i - 1].elapsed;
+    if (dt <= 0) continue;
+    area += ((samples[i].depth ?? 0) + (samples[i - 1].depth ?? 0)) / 2 * dt;
+    time += dt;
+  }
+  return time > 0 ? area / time : 0;
+}
@@ -0,0 +1,212 @@
+/**
+ * Bühlmann ZHL-16C decompression model with gradient factors.
+ * Replays dive samples through the 16 compartments (N2 and He) and gives,
+ * per sample: ceiling, NDL, GF99, the tissue inert gas pressures and each
+ * compartment's gradient.
+ * Pressures in bar, times in minutes unless noted.
+ */
+
+// ZHL-16C coefficients: half-times (min), a (bar) and b for N2 and He
+export const ZHL16C = [
+  { n2HalfTime: 5.0, n2A: 1.1696, n2B: 0.5578, heHalfTime: 1.88, heA: 1.6189, heB: 0.4770 },
+  { n2HalfTime: 8.0, n2A: 1.0, n2B: 0.6514, heHalfTime: 3.02, heA: 1.3830, heB: 0.5747 },
+  { n2HalfTime: 12.5, n2A: 0.8618, n2B: 0.7222, heHalfTime: 4.72, heA: 1.1919, heB: 0.6527 },
+  { n2HalfTime: 18.5, n2A: 0.7562, n2B: 0.7825, heHalfTime: 6.99, heA: 1.0458, heB: 0.7223 },
+  { n2HalfTime: 27.0, n2A: 0.6200, n2B: 0.8126, heHalfTime: 10.21, heA: 0.9220, heB: 0.7582 },
+  { n2HalfTime: 38.3, n2A: 0.5043, n2B: 0.8434, heHalfTime: 14.48, heA: 0.8205, heB: 0.7957 },
+  { n2HalfTime: 54.3, n2A: 0.4410, n2B: 0.8693, heHalfTime: 20.53, heA: 0.7305, heB: 0.8279 },
+  { n2HalfTime: 77.0, n2A: 0.4000, n2B: 0.8910, heHalfTime: 29.11, heA: 0.6502, heB: 0.8553 },
+  { n2HalfTime: 109.0, n2A: 0.3750, n2B: 0.9092, heHalfTime: 41.20, heA: 0.5950, heB: 0.8757 },
+  { n2HalfTime: 146.0, n2A: 0.3500, n2B: 0.9222, heHalfTime: 55.19, heA: 0.5545, heB: 0.8903 },
+  { n2HalfTime: 187.0, n2A: 0.3295, n2B: 0.9319, heHalfTime: 70.69, heA: 0.5333, heB: 0.8997 },
+  { n2HalfTime: 239.0, n2A: 0.3065, n2B: 0.9403, heHalfTime: 90.34, heA: 0.5189, heB: 0.9073 },
+  { n2HalfTime: 305.0, n2A: 0.2835, n2B: 0.9477, heHalfTime: 115.29, heA: 0.5181, heB: 0.9122 },
+  { n2HalfTime: 390.0, n2A: 0.2610, n2B: 0.9544, heHalfTime: 147.42, heA: 0.5176, heB: 0.9171 },
+  { n2HalfTime: 498.0, n2A: 0.2480, n2B: 0.9602, heHalfTime: 188.24, heA: 0.5172, heB: 0.9217 },
+  { n2HalfTime: 635.0, n2A: 0.2327, n2B: 0.9653, heHalfTime: 240.03, heA: 0.5119, heB: 0.9267 },
+];
+
+const K_N2 = ZHL16C.map(c => Math.LN2 / c.n2HalfTime);
+const K_HE = ZHL16C.map(c => Math.LN2 / c.heHalfTime);
+
+export const SURFACE_PRESSURE = 1.01325;
+const WATER_VAPOUR = 0.0627;   // alveolar water vapour pressure (Bühlmann)
+const GRAVITY = 9.80665;
+const DEFAULT_DENSITY = 1020;  // kg/m³, EN13319
+const NDL_MAX = 99;            // min; longer NDLs are reported as null
+const AIR = { fO2: 0.21, fHe: 0, fN2: 0.79 };
+
+export const DEFAULT_GF = { gfLow: 40, gfHigh: 85 };
+
+// Ambient pressure rise (bar per metre) in the water of the dive settings
+export function pressurePerMeter(settings) {
+  return (settings?.waterDensity || DEFAULT_DENSITY) * GRAVITY / 1e5;
+}
+
+// Ambient pressure (bar) at `depth` (m)
+export function ambientPressure(depth, settings) {
+  return SURFACE_PRESSURE + Math.max(0, depth ?? 0) * pressurePerMeter(settings);
+}
+
+/**
+ * Replay a dive through ZHL-16C.
+ * Gradient factors (%) come from the dive settings when the watch logged
+ * them, else from `defaults`. Returns one point per sample:
+ * { ceiling (m), ndl (min or null when > NDL_MAX), gf99 (%), n2, he,
+ *   gradients (% per compartment), leading (index of the highest gradient) }.
+ */
+export function computeDeco(dive, defaults = DEFAULT_GF) {
+  const settings = dive.settings || {};
+  const gfLow = settings.gfLow ?? defaults.gfLow;
+  const gfHigh = settings.gfHigh ?? defaults.gfHigh;
+  const lo = gfLow / 100;
+  const hi = gfHigh / 100;
+  const barPerMeter = pressurePerMeter(settings);
+  const pSurf = SURFACE_PRESSURE;
+  const ambient = depth => ambientPressure(depth, settings);
+  const gasAt = gasTimeline(dive);
+
+  // Tissues start saturated with air at the surface
+  const n2 = ZHL16C.map(() => (pSurf - WATER_VAPOUR) * AIR.fN2);
+  const he = ZHL16C.map(() => 0);
+
+  // Deepest GF-low ceiling reached so far: anchors the GF slope
+  let lowAnchor = null;
+  const samples = dive.samples || [];
+  const points = [];
+
+  samples.forEach((s, i) => {
+    if (i > 0) {
+      const prev = samples[i - 1];
+      const t = (s.elapsed - prev.elapsed) / 60;
+      if (t > 0) loadTissues(n2, he, ambient(prev.depth), ambient(s.depth), t, gasAt(prev.elapsed));
+    }
+
+    const pGfLow = maxToleratedAmbient(n2, he, lo);
+    if (pGfLow > pSurf && (lowAnchor == null || pGfLow > lowAnchor)) lowAnchor = pGfLow;
+
+    const pCeiling = ceilingPressure(n2, he, lo, hi, pSurf, lowAnchor);
+    const ceiling = Math.max(0, (pCeiling - pSurf) / barPerMeter);
+    const pAmb = ambient(s.depth);
+    const gradients = compartmentGradients(n2, he, pAmb);
+    const leading = gradients.indexOf(Math.max(...gradients));
+
+    points.push({
+      ceiling,
+      ndl: ceiling > 0 ? 0 : noDecoLimit(n2, he, pAmb, gasAt(s.elapsed), hi, pSurf),
+      gf99: Math.max(0, gradients[leading]),
+      n2: [...n2],
+      he: [...he],
+      gradients,
+      leading,
+    });
+  });
+
+  return { gfLow, gfHigh, surfacePressure: pSurf, barPerMeter, points };
+}
+
+// Breathing gas over time, from the gas list and gas switch events
+function gasTimeline(dive) {
+  const gases = (dive.gases || []).filter(g => g.o2 != null);
+  const toMix = g => {
+    const fO2 = g.o2 / 100;
+    const fHe = (g.he || 0) / 100;
+    return { fO2, fHe, fN2: 1 - fO2 - fHe };
+  };
+  const initial = gases.find(g => g.status === 'enabled') || gases[0] || null;
+  const switches = (dive.events || [])
+    .filter(e => e.type === 'gas_switch')
+    .map(e => ({ elapsed: e.elapsed, gas: gases.find(g => g.index === e.gas) }))
+    .filter(sw => sw.gas);
+
+  return elapsed => {
+    let gas = initial;
+    for (const sw of switches) {
+      if (sw.elapsed <= elapsed) gas = sw.gas;
+    }
+    return gas ? toMix(gas) : AIR;
+  };
+}
+
+// Schreiner equation: linear change of ambient pressure from p1 to p2 over t
+function loadTissues(n2, he, p1, p2, t, gas) {
+  const rate = (p2 - p1) / t;
+  for (let i = 0; i < ZHL16C.length; i++) {
+    n2[i] = schreiner(n2[i], (p1 - WATER_VAPOUR) * gas.fN2, rate * gas.fN2, t, K_N2[i]);
+    he[i] = schreiner(he[i], (p1 - WATER_VAPOUR) * gas.fHe, rate * gas.fHe, t, K_HE[i]);
+  }
+}
+
+function schreiner(p0, inspired, rate, t, k) {
+  return inspired + rate * (t - 1 / k) - (inspired - p0 - rate / k) * Math.exp(-k * t);
+}
+
+// a and b of a compartment, weighted by its N2/He mix
+function coefficients(i, pN2, pHe) {
+  const c = ZHL16C[i];
+  const total = pN2 + pHe;
+  if (total <= 0) return { a: c.n2A, b: c.n2B };
+  return {
+    a: (c.n2A * pN2 + c.heA * pHe) / total,
+    b: (c.n2B * pN2 + c.heB * pHe) / total,
+  };
+}
+
+function toleratedAmbient(i, n2, he, gf) {
+  const { a, b } = coefficients(i, n2[i], he[i]);
+  return (n2[i] + he[i] - a * gf) / (gf / b + 1 - gf);
+}
+
+function maxToleratedAmbient(n2, he, gf) {
+  let max = 0;
+  for (let i = 0; i < ZHL16C.length; i++) {
+    max = Math.max(max, toleratedAmbient(i, n2, he, gf));
+  }
+  return max;
+}
+
+/**
+ * Ceiling with GF interpolated between GF high at the surface and GF low at
+ * the deepest ceiling. Solved by fixed-point iteration since GF depends on
+ * the ceiling itself.
+ */
+function ceilingPressure(n2, he, lo, hi, pSurf, lowAnchor) {
+  if (lowAnchor == null) return maxToleratedAmbient(n2, he, hi);
+  const gfAt = p => (p >= lowAnchor
+    ? lo
+    : hi + (lo - hi) * (p - pSurf) / (lowAnchor - pSurf));
+  let p = maxToleratedAmbient(n2, he, lo);
+  for (let iter = 0; iter < 6; iter++) {
+    p = maxToleratedAmbient(n2, he, gfAt(Math.max(p, pSurf)));
+  }
+  return p;
+}
+
+// Minutes left at the current depth and gas before a ceiling appears (GF high)
+function noDecoLimit(n2, he, pAmb, gas, hi, pSurf) {
+  const tn2 = [...n2];
+  const the = [...he];
+  const inspN2 = (pAmb - WATER_VAPOUR) * gas.fN2;
+  const inspHe = (pAmb - WATER_VAPOUR) * gas.fHe;
+  for (let t = 0; t < NDL_MAX; t++) {
+    if (maxToleratedAmbient(tn2, the, hi) > pSurf) return t;
+    for (let i = 0; i < ZHL16C.length; i++) {
+      tn2[i] = inspN2 + (tn2[i] - inspN2) * Math.exp(-K_N2[i]);
+      the[i] = inspHe + (the[i] - inspHe) * Math.exp(-K_HE[i]);
+    }
+  }
+  return null;
+}
+
+/**
+ * Supersaturation of each compartment as a percentage of its M-value
+ * gradient at the current ambient pressure: 100 % sits on the M-value,
+ * negative values mean the compartment is still on-gassing.
+ */
+function compartmentGradients(n2, he, pAmb) {
+  return ZHL16C.map((c, i) => {
+    const { a, b } = coefficients(i, n2[i], he[i]);
+    const mValue = a + pAmb / b;
+    return (n2[i] + he[i] - pAmb) / (mValue - pAmb) * 100;
+  });
+}
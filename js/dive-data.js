@@ -2,67 +2,318 @@
  * Extract dive data from parsed FIT messages.
  */
 import { parseFIT, garminTimestampToDate } from './fit-parser.js';
+import { MESG_NUM, enumName } from './fit-profile.js';
 
-const MESG = {
-  SESSION: 18, LAP: 19, RECORD: 20, EVENT: 21,
-  DIVE_SUMMARY: 268, DIVE_GAS: 259,
-};
+// One recording is split into several dives at long surface stretches
+const SURFACE_DEPTH = 1.2;          // m, Descent default dive start depth
+const MIN_SURFACE_INTERVAL = 600;   // s at the surface before a new dive starts
 
-// Record field IDs (from actual Garmin Descent dive FIT data)
-const F = {
-  TIMESTAMP: 253,
-  DEPTH: 92,           // uint32, scale 1000 (mm -> m)
-  ASCENT_RATE: 127,    // sint32, scale 1000 (mm/s -> m/s)
-  TEMPERATURE: 13,     // sint8, °C
-  HEART_RATE: 3,
-  PRESSURE: 91,        // absolute pressure in Pa
-  NDL: 96,
-  CNS: 93,
-};
+/**
+ * Build every dive held in a FIT buffer: one per session, per dive lap, or
+ * per stretch between long surface intervals, across chained FIT files.
+ * With `recover: true` a damaged file yields the samples decoded before the
+ * damage and the dives are flagged `partial`.
+ */
+export function extractDivesFromBuffer(arrayBuffer, { recover = false } = {}) {
+  const { messages, errors, developerFields } = parseFIT(arrayBuffer, { recover });
+  const byMesg = num => messages.filter(m => m._mesgNum === num);
 
-// Session field IDs
-const SF = {
-  TIMESTAMP: 253,
-  START_TIME: 2,
-  TOTAL_ELAPSED_TIME: 7,
-  TOTAL_TIMER_TIME: 8,
-  SPORT: 5,
-  SUB_SPORT: 6,
-};
+  const records = byMesg(MESG_NUM.RECORD);
+  if (records.length === 0) {
+    throw new Error('No dive records found in FIT file');
+  }
 
-// Dive summary field IDs (mesgNum 268)
-const DS = {
-  AVG_DEPTH: 2,   // uint32, scale 1000
-  MAX_DEPTH: 3,   // uint32, scale 1000
+  const groups = splitDives(
+    records, byMesg(MESG_NUM.SESSION), byMesg(MESG_NUM.LAP), byMesg(MESG_NUM.DIVE_SUMMARY),
+  );
+  const parseErrors = errors.map(e => ({ code: e.code, offset: e.offset, message: e.message }));
+  const dives = groups.map(g => {
+    const segment = g.records[0]._segment;
+    const fileInfo = messages.find(m => m._mesgNum === MESG_NUM.FILE_ID && m._segment === segment);
+    const dive = {
+      ...buildDive(g, developerFields, parseErrors),
+      ...extractConfiguration(messages, segment),
+      events: extractEvents(messages, g.records),
+      tanks: extractTanks(messages, segment),
+      serialNumber: fileInfo?.serial_number ?? null, // recording device
+    };
+    applyTankPressures(dive.samples, messages, g.records, dive.tanks);
+    return dive;
+  });
+
+  dives.forEach((dive, i) => {
+    dive.fileDiveIndex = i;
+    if (dive.surfaceInterval == null && i > 0) {
+      const prev = dives[i - 1];
+      dive.surfaceInterval = Math.round((dive.startDate - prev.startDate) / 1000 - prev.totalTime);
+    }
+  });
+  return dives;
+}
+
+/**
+ * Build the dive at `index` in a FIT buffer (the first one by default).
+ */
+export function extractDiveFromBuffer(arrayBuffer, { recover = false, index = 0 } = {}) {
+  const dives = extractDivesFromBuffer(arrayBuffer, { recover });
+  if (!dives[index]) {
+    throw new Error(`No dive #${index + 1} in FIT file`);
+  }
+  return dives[index];
+}
+
+function splitDives(records, sessions, laps, summaries) {
+  const summaryFor = (mesgNum, msg) => summaries.find(s =>
+    s.reference_mesg === mesgNum
+    && s.reference_index === (msg.message_index ?? 0)
+    && s._segment === msg._segment) || null;
+
+  const bySpan = (spans, mesgNum) => spans
+    .map(span => ({ span, summary: summaryFor(mesgNum, span), records: recordsIn(records, span) }))
+    .filter(g => g.records.length > 0);
+
+  if (sessions.length > 1) return bySpan(sessions, MESG_NUM.SESSION);
+
+  // Multi-dive modes (e.g. apnea) write one lap with its own summary per dive
+  const diveLaps = laps.filter(l => summaryFor(MESG_NUM.LAP, l));
+  if (diveLaps.length > 1) return bySpan(diveLaps, MESG_NUM.LAP);
+
+  const pieces = splitAtSurface(records);
+  if (pieces.length > 1) {
+    return pieces.map(piece => ({ span: null, summary: null, records: piece }));
+  }
+
+  const session = sessions[0] || null;
+  const summary = (session && summaryFor(MESG_NUM.SESSION, session))
+    || summaries.find(s => s.reference_mesg === MESG_NUM.SESSION)
+    || summaries[0]
+    || null;
+  return [{ span: session, summary, records }];
+}
+
+/**
+ * Gas list, dive settings and alarms of the FIT file a dive comes from.
+ */
+function extractConfiguration(messages, segment) {
+  const inSegment = num => messages.filter(m => m._mesgNum === num && m._segment === segment);
+
+  const gases = inSegment(MESG_NUM.DIVE_GAS).map(g => ({
+    index: g.message_index ?? null,
+    o2: g.oxygen_content ?? null,   // %
+    he: g.helium_content ?? 0,      // %
+    status: enumName('dive_gas_status', g.status),
+    mode: enumName('dive_gas_mode', g.mode),
+  }));
+
+  const ds = inSegment(MESG_NUM.DIVE_SETTINGS)[0];
+  const settings = ds ? {
+    model: enumName('deco_model', ds.model),
+    gfLow: ds.gf_low ?? null,               // %
+    gfHigh: ds.gf_high ?? null,             // %
+    waterType: enumName('water_type', ds.water_type),
+    waterDensity: ds.water_density ?? null, // kg/m³
+    po2Warn: ds.po2_warn ?? null,           // bar
+    po2Critical: ds.po2_critical ?? null,   // bar
+    po2Deco: ds.po2_deco ?? null,           // bar
+    safetyStop: ds.safety_stop_enabled != null ? !!ds.safety_stop_enabled : null,
+    safetyStopTime: ds.safety_stop_time ?? null, // seconds
+  } : null;
+
+  const alarms = inSegment(MESG_NUM.DIVE_ALARM).map(a => ({
+    type: enumName('dive_alarm_type', a.alarm_type),
+    depth: a.depth ?? null, // m
+    time: a.time ?? null,   // seconds
+    speed: a.speed ?? null, // m/s
+    enabled: !!a.enabled,
+    sound: enumName('tone', a.sound),
+  }));
+
+  return { gases, settings, alarms };
+}
+
+// Dive alert codes turned into typed events; others (dismissals...) are dropped
+const ALERT_EVENTS = {
+  depth_alert: 'depth_alarm',
+  time_alert: 'time_alarm',
+  ascent_critical: 'ascent_warning',
+  safety_stop_started: 'safety_stop_start',
+  safety_stop_complete: 'safety_stop_end',
+  safety_stop_broken: 'safety_stop_broken',
+  deco_ceiling_broken: 'ceiling_breach',
+  deco_complete: 'deco_complete',
+  ndl_reached: 'ndl_warning',
+  approaching_ndl: 'ndl_warning',
+  po2_warn: 'po2_alarm',
+  po2_crit_high: 'po2_alarm',
+  po2_crit_low: 'po2_alarm',
+  cns_warning: 'cns_alarm',
+  cns_critical: 'cns_alarm',
+  otu_warning: 'cns_alarm',
+  otu_critical: 'cns_alarm',
 };
 
-export function extractDiveFromBuffer(arrayBuffer) {
-  const messages = parseFIT(arrayBuffer);
+// Events logged shortly after the last record (timer stop) still belong to the dive
+const EVENT_TAIL = 60; // s
+
+/**
+ * Typed, chronological events of a dive, with `elapsed` in seconds from its
+ * first record. Gas switches carry the index of the new gas in `gas`.
+ */
+function extractEvents(messages, records) {
+  const segment = records[0]._segment;
+  const firstTs = records[0].timestamp;
+  const lastTs = records[records.length - 1].timestamp;
+  const events = [];
 
-  // Filter record messages
-  const records = messages.filter(m => m._mesgNum === MESG.RECORD);
-  const sessions = messages.filter(m => m._mesgNum === MESG.SESSION);
-  const diveSummaries = messages.filter(m => m._mesgNum === MESG.DIVE_SUMMARY);
+  for (const m of messages) {
+    if (m._mesgNum !== MESG_NUM.EVENT || m._segment !== segment) continue;
+    if (m.timestamp == null || m.timestamp < firstTs || m.timestamp > lastTs + EVENT_TAIL) continue;
 
-  if (records.length === 0) {
-    throw new Error('No dive records found in FIT file');
+    const elapsed = m.timestamp - firstTs;
+    const kind = enumName('event', m.event);
+    const eventType = enumName('event_type', m.event_type);
+
+    if (kind === 'timer') {
+      if (eventType === 'start') events.push({ type: 'dive_start', elapsed });
+      if (eventType === 'stop' || eventType === 'stop_all') events.push({ type: 'dive_end', elapsed });
+    } else if (kind === 'dive_gas_switched') {
+      events.push({ type: 'gas_switch', elapsed, gas: m.data ?? null });
+    } else if (kind === 'dive_alert') {
+      const alert = enumName('dive_alert', m.data);
+      if (ALERT_EVENTS[alert]) events.push({ type: ALERT_EVENTS[alert], elapsed, alert });
+    }
   }
 
+  return events.sort((a, b) => a.elapsed - b.elapsed);
+}
+
+/**
+ * Transmitter summaries of the FIT file a dive comes from, in bar.
+ */
+function extractTanks(messages, segment) {
+  return messages
+    .filter(m => m._mesgNum === MESG_NUM.TANK_SUMMARY && m._segment === segment)
+    .map(t => ({
+      sensor: t.sensor ?? null,
+      startPressure: t.start_pressure ?? null,
+      endPressure: t.end_pressure ?? null,
+      volumeUsed: t.volume_used ?? null, // L
+    }));
+}
+
+/**
+ * Set `tankPressure` (bar) on samples from tank_update messages, holding the
+ * last reading until the next one. With several transmitters only the first
+ * summarised (or first seen) sensor is kept.
+ */
+function applyTankPressures(samples, messages, records, tanks) {
+  const segment = records[0]._segment;
+  const updates = messages.filter(m => m._mesgNum === MESG_NUM.TANK_UPDATE
+    && m._segment === segment && m.pressure != null && m.timestamp != null);
+  const sensor = tanks[0]?.sensor ?? updates[0]?.sensor;
+  const readings = updates
+    .filter(u => u.sensor === sensor)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  let next = 0;
+  let current = null;
+  records.forEach((r, i) => {
+    while (next < readings.length && readings[next].timestamp <= r.timestamp) {
+      current = readings[next++].pressure;
+    }
+    samples[i].tankPressure = current;
+  });
+}
+
+function recordsIn(records, span) {
+  const start = span.start_time;
+  const end = start + (span.total_elapsed_time ?? Infinity);
+  return records.filter(r => r._segment === span._segment && r.timestamp >= start && r.timestamp <= end);
+}
+
+// Cut records at surface stretches of MIN_SURFACE_INTERVAL or more
+function splitAtSurface(records) {
+  const pieces = [];
+  let pieceStart = 0;
+  let runStart = null;
+
+  records.forEach((r, i) => {
+    if (r.depth == null) return;
+    if (r.depth >= SURFACE_DEPTH) {
+      if (runStart != null && runStart > pieceStart
+          && records[i - 1].timestamp - records[runStart].timestamp >= MIN_SURFACE_INTERVAL) {
+        pieces.push(records.slice(pieceStart, runStart + 1));
+        pieceStart = i - 1;
+      }
+      runStart = null;
+    } else if (runStart == null) {
+      runStart = i;
+    }
+  });
+  pieces.push(records.slice(pieceStart));
+  return pieces;
+}
+
+function buildDive({ records, span, summary }, developerFields, parseErrors) {
   // Build time series
-  const firstTs = records[0][F.TIMESTAMP];
+  const firstTs = records[0].timestamp;
   const samples = records.map(r => {
-    const ts = r[F.TIMESTAMP];
-    const elapsed = ts - firstTs; // seconds from start
-    const depth = r[F.DEPTH] != null ? r[F.DEPTH] / 1000 : null; // scale 1000
-    const ascentRate = r[F.ASCENT_RATE] != null ? r[F.ASCENT_RATE] / 1000 : null; // scale 1000, m/s
-    const temperature = r[F.TEMPERATURE];
-    const ndl = r[F.NDL];
-    const cns = r[F.CNS];
-
-    return { elapsed, depth, ascentRate, temperature, ndl, cns };
+    const elapsed = r.timestamp - firstTs; // seconds from start
+    const depth = r.depth ?? null;
+    const ascentRate = r.ascent_rate ?? null; // m/s
+    const temperature = r.temperature ?? null;
+    const ndl = r.ndl_time ?? null;
+    const cns = r.cns_load ?? null;
+    const heartRate = r.heart_rate ?? null;
+    const po2 = r.po2 ?? null; // bar
+    const pressure = r.absolute_pressure != null ? r.absolute_pressure / 100000 : null; // bar
+    const dev = r.developer || null; // Connect IQ values by field key
+
+    return { elapsed, depth, ascentRate, temperature, ndl, cns, heartRate, po2, pressure, dev };
   });
 
-  // Compute ascent rate from depth when not available
+  // Developer fields actually recorded on samples, offered as extra series
+  const recordedDevKeys = new Set(records.flatMap(r => Object.keys(r.developer || {})));
+  const devSeries = developerFields
+    .filter(f => recordedDevKeys.has(f.key))
+    .map(({ key, name, units, applicationId, applicationVersion }) => (
+      { key, name, units, applicationId, applicationVersion }));
+
+  fillAscentRates(samples);
+
+  // Session (or lap) info
+  const startDate = garminTimestampToDate(span?.start_time || firstTs);
+  const totalTime = span?.total_elapsed_time || samples[samples.length - 1].elapsed;
+  const maxDepth = summary?.max_depth || Math.max(...samples.map(s => s.depth || 0));
+  const avgDepth = summary?.avg_depth || null;
+  // Entry and exit points: session/lap positions, else first/last fix
+  const fixes = records.filter(r => r.position_lat != null && r.position_long != null);
+  const entryPosition = toPosition(span?.start_position_lat, span?.start_position_long)
+    || toPosition(fixes[0]?.position_lat, fixes[0]?.position_long);
+  const exitPosition = toPosition(span?.end_position_lat, span?.end_position_long)
+    || toPosition(fixes.at(-1)?.position_lat, fixes.at(-1)?.position_long);
+  const { minTemp, maxTemp } = temperatureRange(samples);
+
+  return {
+    startDate,
+    totalTime,    // seconds
+    bottomTime: summary?.bottom_time ?? null, // seconds, as the computer counts it
+    maxDepth,     // meters
+    avgDepth,
+    minTemp,
+    maxTemp,
+    samples,
+    developerFields: devSeries,
+    surfaceInterval: summary?.surface_interval ?? null, // seconds since the previous dive
+    entryPosition,  // { lat, lon } in degrees, or null
+    exitPosition,
+    partial: parseErrors.length > 0,
+    parseErrors,
+  };
+}
+
+// Compute ascent rate from depth when not available
+function fillAscentRates(samples) {
   for (let i = 1; i < samples.length; i++) {
     if (samples[i].ascentRate == null && samples[i].depth != null && samples[i - 1].depth != null) {
       const dt = samples[i].elapsed - samples[i - 1].elapsed;
@@ -71,42 +322,146 @@ export function extractDiveFromBuffer(arrayBuffer) {
       }
     }
   }
+}
 
-  // Session info
-  const session = sessions[0] || {};
-  const summary = diveSummaries[0] || {};
-  const startDate = garminTimestampToDate(session[SF.START_TIME] || firstTs);
-  const totalTime = session[SF.TOTAL_ELAPSED_TIME]
-    ? session[SF.TOTAL_ELAPSED_TIME] / 1000
-    : samples[samples.length - 1].elapsed;
-  const maxDepth = summary[DS.MAX_DEPTH]
-    ? summary[DS.MAX_DEPTH] / 1000
-    : Math.max(...samples.map(s => s.depth || 0));
-  const avgDepth = summary[DS.AVG_DEPTH]
-    ? summary[DS.AVG_DEPTH] / 1000
-    : null;
-  // Get min temp from samples
+function temperatureRange(samples) {
   const temps = samples.map(s => s.temperature).filter(t => t != null);
-  const minTemp = temps.length ? Math.min(...temps) : null;
-  const maxTemp = temps.length ? Math.max(...temps) : null;
+  return {
+    minTemp: temps.length ? Math.min(...temps) : null,
+    maxTemp: temps.length ? Math.max(...temps) : null,
+  };
+}
+
+/**
+ * Dive decoded outside FIT (UDDF, Subsurface, CSV), shaped like the dives
+ * of extractDivesFromBuffer. `samples` need `elapsed` and may carry depth,
+ * temperature and tankPressure; `extra` sets the other dive fields.
+ */
+export function diveFromSamples(startDate, samples, extra = {}) {
+  const full = samples.map(s => ({
+    elapsed: s.elapsed,
+    depth: s.depth ?? null,
+    ascentRate: null,
+    temperature: s.temperature ?? null,
+    ndl: null,
+    cns: null,
+    heartRate: null,
+    po2: null,
+    pressure: null,
+    dev: null,
+    tankPressure: s.tankPressure ?? null,
+  }));
+  fillAscentRates(full);
+
+  // Time-weighted mean depth
+  let area = 0;
+  for (let i = 1; i < full.length; i++) {
+    area += ((full[i].depth ?? 0) + (full[i - 1].depth ?? 0)) / 2 * (full[i].elapsed - full[i - 1].elapsed);
+  }
+  const totalTime = full.length ? full[full.length - 1].elapsed : 0;
 
   return {
     startDate,
-    totalTime,    // seconds
-    maxDepth,     // meters
-    avgDepth,
-    minTemp,
-    maxTemp,
-    samples,
+    totalTime,
+    bottomTime: null,
+    maxDepth: Math.max(0, ...full.map(s => s.depth || 0)),
+    avgDepth: totalTime > 0 ? area / totalTime : null,
+    ...temperatureRange(full),
+    samples: full,
+    developerFields: [],
+    surfaceInterval: null,
+    entryPosition: null,
+    exitPosition: null,
+    partial: false,
+    parseErrors: [],
+    gases: [],
+    settings: null,
+    alarms: [],
+    events: [],
+    tanks: [],
+    serialNumber: null,
+    fileDiveIndex: 0,
+    ...extra,
   };
 }
 
+const SEMICIRCLE_TO_DEG = 180 / 2 ** 31;
+
+function toPosition(lat, long) {
+  if (lat == null || long == null) return null;
+  return { lat: lat * SEMICIRCLE_TO_DEG, lon: long * SEMICIRCLE_TO_DEG };
+}
+
+// Relative difference in sample count still taken for the same dive: a
+// newer parser (re-processing, re-import) can read more or fewer records
+const SAMPLE_COUNT_TOLERANCE = 0.1;
+
+/**
+ * Whether two dives are the same recording: same start time, same device
+ * serial when both have one (dives imported before serials were read have
+ * none), and close sample counts.
+ */
+export function sameDive(a, b) {
+  if ((a.startDate?.getTime() ?? null) !== (b.startDate?.getTime() ?? null)) return false;
+  if (a.serialNumber != null && b.serialNumber != null && a.serialNumber !== b.serialNumber) return false;
+  const na = a.samples?.length || 0;
+  const nb = b.samples?.length || 0;
+  return Math.abs(na - nb) <= Math.max(na, nb) * SAMPLE_COUNT_TOLERANCE;
+}
+
 export function formatDuration(seconds) {
   const m = Math.floor(seconds / 60);
   const s = Math.round(seconds % 60);
   return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
+export function formatGas(gas) {
+  if (!gas || gas.o2 == null) return '—';
+  if (gas.he > 0) return `Tx${gas.o2}/${gas.he}`;
+  if (gas.o2 === 21) return 'Air';
+  if (gas.o2 === 100) return 'O2';
+  return `EAN${gas.o2}`;
+}
+
+// Dive event labels and marker colours
+export const EVENT_STYLES = {
+  dive_start: { label: 'Début de plongée', color: '#8899aa' },
+  dive_end: { label: 'Fin de plongée', color: '#8899aa' },
+  gas_switch: { label: 'Changement de gaz', color: '#9b5de5' },
+  depth_alarm: { label: 'Alarme profondeur', color: '#ef476f' },
+  time_alarm: { label: 'Alarme temps', color: '#ef476f' },
+  ascent_warning: { label: 'Remontée trop rapide', color: '#ff6b35' },
+  safety_stop_start: { label: 'Début palier de sécurité', color: '#06d6a0' },
+  safety_stop_end: { label: 'Fin palier de sécurité', color: '#06d6a0' },
+  safety_stop_broken: { label: 'Palier de sécurité interrompu', color: '#ffd166' },
+  ceiling_breach: { label: 'Plafond de déco franchi', color: '#ef476f' },
+  deco_complete: { label: 'Déco terminée', color: '#06d6a0' },
+  ndl_warning: { label: 'Limite de non-déco', color: '#ffd166' },
+  po2_alarm: { label: 'Alarme PO2', color: '#ef476f' },
+  cns_alarm: { label: 'Alarme CNS/OTU', color: '#ffd166' },
+};
+
+export function eventLabel(event, dive) {
+  const label = EVENT_STYLES[event.type]?.label || event.type;
+  if (event.type === 'gas_switch') {
+    const gas = (dive.gases || []).find(g => g.index === event.gas);
+    if (gas) return `${label} : ${formatGas(gas)}`;
+  }
+  return label;
+}
+
+export function formatSurfaceInterval(seconds) {
+  if (seconds == null) return '—';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h${m.toString().padStart(2, '0')}` : `${m} min`;
+}
+
+export function formatPosition(pos) {
+  if (!pos) return '—';
+  return `${pos.lat.toFixed(5)}, ${pos.lon.toFixed(5)}`;
+}
+
 export function formatDate(date) {
   if (!date) return '—';
   return date.toLocaleDateString('fr-FR', {
@@ -114,3 +469,9 @@ export function formatDate(date) {
     hour: '2-digit', minute: '2-digit',
   });
 }
+
+export function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+  ));
+}
@@ -0,0 +1,35 @@
+/**
+ * Duplicate dives: same recording device, start time and sample count
+ * (see sameDive).
+ */
+import { sameDive } from './dive-data.js';
+
+// Fields entered by the user, carried over when a dive is replaced or rebuilt
+export const USER_FIELDS = ['log', 'tankSize', 'manualPressures'];
+
+/**
+ * Copy the user-entered fields of `from` onto `to` (those `to` lacks when
+ * `onlyMissing`).
+ */
+export function carryUserFields(from, to, { onlyMissing = false } = {}) {
+  USER_FIELDS.forEach(key => {
+    if (from[key] === undefined) return;
+    if (onlyMissing && to[key] !== undefined) return;
+    to[key] = from[key];
+  });
+  return to;
+}
+
+/**
+ * Stored dives that are the same recording, as groups of two or more
+ * sorted by id (the first imported comes first).
+ */
+export function findDuplicateGroups(dives) {
+  const groups = [];
+  [...dives].sort((a, b) => a.id - b.id).forEach(d => {
+    const group = groups.find(g => sameDive(g[0], d));
+    if (group) group.push(d);
+    else groups.push([d]);
+  });
+  return groups.filter(g => g.length > 1);
+}
@@ -0,0 +1,74 @@
+/**
+ * Search, filters and sort orders of the dive list.
+ */
+import { formatGas } from './dive-data.js';
+
+export const SORTS = {
+  'date-desc': (a, b) => (b.startDate || 0) - (a.startDate || 0),
+  'date-asc': (a, b) => (a.startDate || 0) - (b.startDate || 0),
+  'depth-desc': (a, b) => (b.maxDepth || 0) - (a.maxDepth || 0),
+  'depth-asc': (a, b) => (a.maxDepth || 0) - (b.maxDepth || 0),
+  'duration-desc': (a, b) => (b.totalTime || 0) - (a.totalTime || 0),
+  'duration-asc': (a, b) => (a.totalTime || 0) - (b.totalTime || 0),
+  'temp-asc': (a, b) => (a.minTemp ?? Infinity) - (b.minTemp ?? Infinity),
+  'temp-desc': (a, b) => (b.minTemp ?? -Infinity) - (a.minTemp ?? -Infinity),
+};
+
+export function sortDives(dives, sort = 'date-desc') {
+  return [...dives].sort(SORTS[sort] || SORTS['date-desc']);
+}
+
+// Gas mixes breathed on a dive, as shown to the user (Air, EAN32...)
+export function diveGasLabels(dive) {
+  return [...new Set((dive.gases || [])
+    .filter(g => g.o2 != null && g.status !== 'disabled')
+    .map(formatGas))];
+}
+
+// Free text matched against the log metadata
+function searchText(dive) {
+  const log = dive.log || {};
+  return [log.site, log.buddy, log.suit, log.tank, log.notes, ...(log.tags || [])]
+    .filter(Boolean).join(' ').toLowerCase();
+}
+
+const inRange = (value, min, max) => (min == null || (value != null && value >= min))
+  && (max == null || (value != null && value <= max));
+
+/**
+ * Dives matching every set criterion. Criteria (all optional):
+ * text, dateFrom/dateTo (Date), depthMin/depthMax (m),
+ * durationMin/durationMax (min), tempMin/tempMax (°C), site, buddy, tag, gas.
+ */
+export function filterDives(dives, criteria = {}) {
+  const c = criteria;
+  const text = c.text?.trim().toLowerCase();
+  return dives.filter(d => {
+    if (text && !searchText(d).includes(text)) return false;
+    if (c.dateFrom && !(d.startDate >= c.dateFrom)) return false;
+    if (c.dateTo && !(d.startDate <= c.dateTo)) return false;
+    if (!inRange(d.maxDepth, c.depthMin, c.depthMax)) return false;
+    const minutes = d.totalTime != null ? d.totalTime / 60 : null;
+    if (!inRange(minutes, c.durationMin, c.durationMax)) return false;
+    if (!inRange(d.minTemp, c.tempMin, c.tempMax)) return false;
+    if (c.site && d.log?.site?.trim() !== c.site) return false;
+    if (c.buddy && d.log?.buddy?.trim() !== c.buddy) return false;
+    if (c.tag && !(d.log?.tags || []).includes(c.tag)) return false;
+    if (c.gas && !diveGasLabels(d).includes(c.gas)) return false;
+    return true;
+  });
+}
+
+/**
+ * Values offered by the site, buddy, tag and gas filters.
+ */
+export function filterOptions(dives) {
+  const collect = values => [...new Set(values.filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+  return {
+    sites: collect(dives.map(d => d.log?.site?.trim())),
+    buddies: collect(dives.map(d => d.log?.buddy?.trim())),
+    tags: collect(dives.flatMap(d => d.log?.tags || [])),
+    gases: collect(dives.flatMap(diveGasLabels)),
+  };
+}
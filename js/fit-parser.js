@@ -2,128 +2,278 @@
  * FIT file parser — lightweight custom parser for dive FIT files.
  * Parses the binary FIT format directly (no SDK dependency needed in browser).
  */
+import { MESG_NUM, decodeMessage, scaleValue } from './fit-profile.js';
 
-const FIT_TYPES = {
-  0: 'enum', 1: 'sint8', 2: 'uint8', 3: 'sint16', 4: 'uint16',
-  5: 'sint32', 6: 'uint32', 7: 'string', 10: 'uint8z', 11: 'uint16z',
-  12: 'uint32z', 13: 'uint8', 131: 'uint16', 132: 'uint32', 133: 'sint8',
-  134: 'sint16', 135: 'sint32', 136: 'uint8z', 137: 'uint16z', 138: 'uint32z',
-  139: 'float32', 140: 'float64'
+// FIT base types, keyed on the full base type byte (endian flag included)
+const BASE_TYPES = {
+  0x00: { name: 'enum', size: 1, invalid: 0xFF },
+  0x01: { name: 'sint8', size: 1, invalid: 0x7F },
+  0x02: { name: 'uint8', size: 1, invalid: 0xFF },
+  0x07: { name: 'string', size: 1, invalid: 0x00 },
+  0x0A: { name: 'uint8z', size: 1, invalid: 0x00 },
+  0x0D: { name: 'byte', size: 1, invalid: 0xFF },
+  0x83: { name: 'sint16', size: 2, invalid: 0x7FFF },
+  0x84: { name: 'uint16', size: 2, invalid: 0xFFFF },
+  0x85: { name: 'sint32', size: 4, invalid: 0x7FFFFFFF },
+  0x86: { name: 'uint32', size: 4, invalid: 0xFFFFFFFF },
+  0x88: { name: 'float32', size: 4, invalid: null }, // all bits set
+  0x89: { name: 'float64', size: 8, invalid: null }, // all bits set
+  0x8B: { name: 'uint16z', size: 2, invalid: 0x0000 },
+  0x8C: { name: 'uint32z', size: 4, invalid: 0x00000000 },
+  0x8E: { name: 'sint64', size: 8, invalid: 0x7FFFFFFFFFFFFFFFn },
+  0x8F: { name: 'uint64', size: 8, invalid: 0xFFFFFFFFFFFFFFFFn },
+  0x90: { name: 'uint64z', size: 8, invalid: 0n },
 };
 
-// Global message numbers we care about
-const MESG_NUM = {
-  SESSION: 18,
-  LAP: 19,
-  RECORD: 20,
-  EVENT: 21,
-  DEVICE_INFO: 23,
-  DIVE_SUMMARY: 268,
-  DIVE_GAS: 259,
-  DIVE_SETTINGS: 258,
-  DIVE_ALARM: 262,
-};
+// Some writers drop the endian flag; fall back on the 5-bit type number
+const BASE_TYPES_BY_NUM = {};
+for (const [byte, type] of Object.entries(BASE_TYPES)) {
+  BASE_TYPES_BY_NUM[Number(byte) & 0x1F] = type;
+}
 
-// Field definitions for record messages (subset relevant to diving)
-const RECORD_FIELDS = {
-  253: 'timestamp',
-  0: 'position_lat',
-  1: 'position_long',
-  2: 'altitude',
-  5: 'distance',
-  6: 'speed',
-  22: 'depth',        // in meters (scaled)
-  24: 'ascent_rate',  // m/s
-  73: 'temperature',  // °C
-  91: 'po2',
-  92: 'ndl',
-  93: 'cns',
-};
+export function getBaseType(baseType) {
+  return BASE_TYPES[baseType] || BASE_TYPES_BY_NUM[baseType & 0x1F] || null;
+}
+
+const utf8 = new TextDecoder('utf-8');
 
 const GARMIN_EPOCH = new Date('1989-12-31T00:00:00Z').getTime() / 1000;
 
-export function parseFIT(buffer) {
+// Field number of the timestamp, common to every message type
+const TIMESTAMP_FIELD = 253;
+
+// Nibble lookup table for the FIT CRC-16
+const CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+export const FIT_ERROR = {
+  TRUNCATED: 'truncated',
+  BAD_HEADER_CRC: 'bad_header_crc',
+  BAD_FILE_CRC: 'bad_file_crc',
+  ORPHAN_MESSAGE: 'orphan_message',
+  OFFSET_OVERRUN: 'offset_overrun',
+};
+
+export class FitParseError extends Error {
+  constructor(code, message, offset) {
+    super(`${message} at byte ${offset}`);
+    this.name = 'FitParseError';
+    this.code = code;
+    this.offset = offset;
+  }
+}
+
+export function fitCrc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    const b = bytes[i];
+    let tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[b & 0xF];
+    tmp = CRC_TABLE[crc & 0xF];
+    crc = (crc >> 4) & 0x0FFF;
+    crc = crc ^ tmp ^ CRC_TABLE[(b >> 4) & 0xF];
+  }
+  return crc;
+}
+
+/**
+ * Parse a FIT buffer into messages named and scaled through the FIT profile,
+ * plus the developer field descriptions found along the way.
+ * Chained FIT files (several files back to back in one buffer) are all read;
+ * each message carries the index of its file in `_segment`.
+ * By default the first problem throws a FitParseError. With `recover: true`
+ * problems are collected in `errors` and the messages decoded before the
+ * damage are returned.
+ */
+export function parseFIT(buffer, { recover = false } = {}) {
   const data = new DataView(buffer);
   const bytes = new Uint8Array(buffer);
-  let offset = 0;
+  const errors = [];
+  const messages = [];
+  const developerFields = new Map();
+  let start = 0;
+  let segment = 0;
+
+  do {
+    const result = parseSegment(data, bytes, start, { recover, errors });
+    for (const msg of result.messages) {
+      msg._segment = segment;
+      messages.push(msg);
+    }
+    for (const f of result.developerFields) {
+      if (!developerFields.has(f.key)) developerFields.set(f.key, f);
+    }
+    start = result.end;
+    segment++;
+  } while (isFitHeader(bytes, start));
+
+  return {
+    messages,
+    errors,
+    developerFields: [...developerFields.values()],
+    segments: segment,
+  };
+}
+
+function isFitHeader(bytes, start) {
+  return start + 12 <= bytes.length
+    && String.fromCharCode(...bytes.subarray(start + 8, start + 12)) === '.FIT';
+}
+
+// Parse one FIT file starting at `start`; `end` is where the next one would begin
+function parseSegment(data, bytes, start, { recover, errors }) {
+  let offset = start;
+
+  function fail(code, message, at) {
+    const err = new FitParseError(code, message, at);
+    if (!recover) throw err;
+    errors.push(err);
+  }
+
+  if (bytes.length - start < 12) {
+    throw new FitParseError(FIT_ERROR.TRUNCATED, 'File shorter than a FIT header', bytes.length);
+  }
 
   // --- Header ---
-  const headerSize = bytes[0];
-  const protocolVersion = bytes[1];
-  const profileVersion = data.getUint16(2, true);
-  const dataSize = data.getUint32(4, true);
-  const dataType = String.fromCharCode(bytes[8], bytes[9], bytes[10], bytes[11]);
+  const headerSize = bytes[start];
+  const protocolVersion = bytes[start + 1];
+  const profileVersion = data.getUint16(start + 2, true);
+  const dataSize = data.getUint32(start + 4, true);
+  const dataType = String.fromCharCode(...bytes.subarray(start + 8, start + 12));
 
   if (dataType !== '.FIT') {
     throw new Error('Not a valid FIT file');
   }
 
-  offset = headerSize;
-  const endOfData = headerSize + dataSize;
+  // Header CRC is optional: 0 means the writer did not compute it
+  if (headerSize >= 14 && bytes.length - start >= 14) {
+    const headerCrc = data.getUint16(start + 12, true);
+    if (headerCrc !== 0 && headerCrc !== fitCrc16(bytes, start, start + 12)) {
+      fail(FIT_ERROR.BAD_HEADER_CRC, 'Header CRC mismatch', start + 12);
+    }
+  }
+
+  offset = start + headerSize;
+  let endOfData = start + headerSize + dataSize;
+  const end = endOfData + 2;
+
+  if (end > bytes.length) {
+    fail(FIT_ERROR.TRUNCATED, `File ends before its ${dataSize} declared data bytes`, bytes.length);
+    endOfData = Math.min(endOfData, bytes.length);
+  } else if (data.getUint16(endOfData, true) !== fitCrc16(bytes, start, endOfData)) {
+    fail(FIT_ERROR.BAD_FILE_CRC, 'File CRC mismatch', endOfData);
+  }
 
   const definitions = {};
   const messages = [];
 
-  while (offset < endOfData) {
-    const recordHeader = bytes[offset++];
+  // Connect IQ applications by developer data index (developer_data_id)
+  const developerApps = {};
+  // Developer field descriptions (Connect IQ), keyed by `dev_<index>_<field>`
+  const devDescriptions = {};
 
-    // Compressed timestamp header
-    if (recordHeader & 0x80) {
-      const localMesgType = (recordHeader >> 5) & 0x3;
-      const timeOffset = recordHeader & 0x1F;
-      const def = definitions[localMesgType];
-      if (def) {
-        const msg = readDataMessage(def);
-        if (msg) messages.push(msg);
-      }
-      continue;
+  // Last full timestamp seen, used to rebuild compressed-timestamp headers
+  let lastTimestamp = null;
+
+  function ensureAvailable(start, length) {
+    if (offset + length > endOfData) {
+      throw new FitParseError(FIT_ERROR.OFFSET_OVERRUN, 'Message runs past end of data', start);
     }
+  }
 
-    const isDefinition = (recordHeader & 0x40) !== 0;
-    const localMesgType = recordHeader & 0x0F;
-    const hasDeveloperData = (recordHeader & 0x20) !== 0;
-
-    if (isDefinition) {
-      // Definition message
-      offset++; // reserved
-      const arch = bytes[offset++]; // 0=little, 1=big
-      const littleEndian = arch === 0;
-      const globalMesgNum = littleEndian
-        ? data.getUint16(offset, true)
-        : data.getUint16(offset, false);
-      offset += 2;
-      const numFields = bytes[offset++];
-
-      const fields = [];
-      for (let i = 0; i < numFields; i++) {
-        const fieldDefNum = bytes[offset++];
-        const size = bytes[offset++];
-        const baseType = bytes[offset++];
-        fields.push({ fieldDefNum, size, baseType });
-      }
+  try {
+    while (offset < endOfData) {
+      const start = offset;
+      const recordHeader = bytes[offset++];
 
-      let devFields = [];
-      if (hasDeveloperData) {
-        const numDevFields = bytes[offset++];
-        for (let i = 0; i < numDevFields; i++) {
-          const fNum = bytes[offset++];
-          const sz = bytes[offset++];
-          const devIdx = bytes[offset++];
-          devFields.push({ fNum, size: sz, devIdx });
+      // Compressed timestamp header
+      if (recordHeader & 0x80) {
+        const localMesgType = (recordHeader >> 5) & 0x3;
+        const timeOffset = recordHeader & 0x1F;
+        const def = definitions[localMesgType];
+        if (!def) {
+          throw new FitParseError(FIT_ERROR.ORPHAN_MESSAGE,
+            `No definition for local message type ${localMesgType}`, start);
+        }
+        ensureAvailable(start, def.size);
+        const msg = readDataMessage(def);
+        if (msg) {
+          if (lastTimestamp != null) {
+            lastTimestamp = resolveCompressedTimestamp(lastTimestamp, timeOffset);
+            msg[TIMESTAMP_FIELD] = lastTimestamp;
+          }
+          messages.push(msg);
         }
+        continue;
       }
 
-      definitions[localMesgType] = { globalMesgNum, fields, devFields, littleEndian };
-    } else {
-      // Data message
-      const def = definitions[localMesgType];
-      if (!def) {
-        // Skip unknown — shouldn't happen in valid FIT
-        break;
+      const isDefinition = (recordHeader & 0x40) !== 0;
+      const localMesgType = recordHeader & 0x0F;
+      const hasDeveloperData = (recordHeader & 0x20) !== 0;
+
+      if (isDefinition) {
+        // Definition message
+        ensureAvailable(start, 5);
+        offset++; // reserved
+        const arch = bytes[offset++]; // 0=little, 1=big
+        const littleEndian = arch === 0;
+        const globalMesgNum = littleEndian
+          ? data.getUint16(offset, true)
+          : data.getUint16(offset, false);
+        offset += 2;
+        const numFields = bytes[offset++];
+
+        ensureAvailable(start, numFields * 3);
+        const fields = [];
+        let messageSize = 0;
+        for (let i = 0; i < numFields; i++) {
+          const fieldDefNum = bytes[offset++];
+          const size = bytes[offset++];
+          const baseType = bytes[offset++];
+          fields.push({ fieldDefNum, size, baseType });
+          messageSize += size;
+        }
+
+        let devFields = [];
+        if (hasDeveloperData) {
+          ensureAvailable(start, 1);
+          const numDevFields = bytes[offset++];
+          ensureAvailable(start, numDevFields * 3);
+          for (let i = 0; i < numDevFields; i++) {
+            const fNum = bytes[offset++];
+            const sz = bytes[offset++];
+            const devIdx = bytes[offset++];
+            devFields.push({ fNum, size: sz, devIdx });
+            messageSize += sz;
+          }
+        }
+
+        definitions[localMesgType] = {
+          globalMesgNum, fields, devFields, littleEndian, size: messageSize,
+        };
+      } else {
+        // Data message
+        const def = definitions[localMesgType];
+        if (!def) {
+          throw new FitParseError(FIT_ERROR.ORPHAN_MESSAGE,
+            `No definition for local message type ${localMesgType}`, start);
+        }
+        ensureAvailable(start, def.size);
+        const msg = readDataMessage(def);
+        if (msg) {
+          if (msg[TIMESTAMP_FIELD] != null) lastTimestamp = msg[TIMESTAMP_FIELD];
+          if (msg._mesgNum === MESG_NUM.DEVELOPER_DATA_ID) registerDeveloperApp(msg);
+          if (msg._mesgNum === MESG_NUM.FIELD_DESCRIPTION) registerFieldDescription(msg);
+          messages.push(msg);
+        }
       }
-      const msg = readDataMessage(def);
-      if (msg) messages.push(msg);
     }
+  } catch (err) {
+    if (!recover || !(err instanceof FitParseError)) throw err;
+    errors.push(err);
   }
 
   function readDataMessage(def) {
@@ -135,74 +285,138 @@ export function parseFIT(buffer) {
       result[field.fieldDefNum] = val;
     }
 
-    // Skip developer fields
+    // Developer fields are decoded through their field_description;
+    // fields without a description are skipped
     for (const df of (def.devFields || [])) {
-      offset += df.size;
+      const desc = devDescriptions[`dev_${df.devIdx}_${df.fNum}`];
+      if (!desc) {
+        offset += df.size;
+        continue;
+      }
+      const val = readFieldValue({ size: df.size, baseType: desc.baseType }, le);
+      if (!result._developer) result._developer = {};
+      result._developer[desc.key] = scaleValue(val, desc.scale, desc.offset);
     }
 
     return result;
   }
 
-  function readFieldValue(field, le) {
-    const start = offset;
-    const { size, baseType } = field;
-    let val;
-
-    const bt = baseType & 0x1F; // base type number
-
-    switch (bt) {
-      case 0: // enum / uint8
-      case 2: // uint8
-      case 10: // uint8z
-      case 13:
-        val = bytes[offset];
-        if (val === 0xFF) val = null;
-        break;
-      case 1: // sint8
-        val = data.getInt8(offset);
-        if (val === 0x7F) val = null;
-        break;
-      case 3: // sint16
-        val = data.getInt16(offset, le);
-        if (val === 0x7FFF) val = null;
-        break;
-      case 4: // uint16
-      case 11: // uint16z
-        val = data.getUint16(offset, le);
-        if (val === 0xFFFF) val = null;
-        break;
-      case 5: // sint32
-        val = data.getInt32(offset, le);
-        if (val === 0x7FFFFFFF) val = null;
-        break;
-      case 6: // uint32
-      case 12: // uint32z
-        val = data.getUint32(offset, le);
-        if (val === 0xFFFFFFFF) val = null;
-        break;
-      case 7: // string
-        val = '';
-        for (let i = 0; i < size; i++) {
-          const c = bytes[offset + i];
-          if (c === 0) break;
-          val += String.fromCharCode(c);
-        }
-        break;
-      case 8: // float32
-        val = data.getFloat32(offset, le);
-        break;
-      case 9: // float64
-        val = data.getFloat64(offset, le);
-        break;
-      default:
-        val = null;
-    }
+  function registerDeveloperApp(raw) {
+    if (raw[3] == null) return;
+    developerApps[raw[3]] = {
+      applicationId: Array.isArray(raw[1])
+        ? raw[1].map(b => (b ?? 0xFF).toString(16).padStart(2, '0')).join('')
+        : null,
+      applicationVersion: raw[4] ?? null,
+    };
+  }
+
+  // Descriptions must follow the developer_data_id of their index; others
+  // are ignored and their fields skipped
+  function registerFieldDescription(raw) {
+    const devIdx = raw[0];
+    const app = developerApps[devIdx];
+    if (!app) return;
+    const fieldNum = raw[1];
+    const key = `dev_${devIdx}_${fieldNum}`;
+    devDescriptions[key] = {
+      key,
+      developerDataIndex: devIdx,
+      ...app,
+      fieldNum,
+      baseType: raw[2],
+      name: raw[3] || key,
+      units: raw[8] || '',
+      scale: raw[6] || 1,
+      offset: raw[7] || 0,
+      nativeMesgNum: raw[14] ?? null,
+      nativeFieldNum: raw[15] ?? null,
+    };
+  }
 
-    offset = start + size;
+  function readFieldValue(field, le) {
+    const val = decodeFieldValue(data, bytes, offset, field, le);
+    offset += field.size;
     return val;
   }
 
-  return messages;
+  return {
+    messages: messages.map(decodeMessage),
+    developerFields: Object.values(devDescriptions),
+    end,
+  };
+}
+
+// 64-bit integers come back as numbers when they fit, BigInt otherwise
+function toSafeNumber(big) {
+  return big <= BigInt(Number.MAX_SAFE_INTEGER) && big >= BigInt(Number.MIN_SAFE_INTEGER)
+    ? Number(big)
+    : big;
+}
+
+function readBaseValue(data, pos, type, le) {
+  switch (type.name) {
+    case 'sint8': return data.getInt8(pos);
+    case 'enum':
+    case 'uint8':
+    case 'uint8z':
+    case 'byte': return data.getUint8(pos);
+    case 'sint16': return data.getInt16(pos, le);
+    case 'uint16':
+    case 'uint16z': return data.getUint16(pos, le);
+    case 'sint32': return data.getInt32(pos, le);
+    case 'uint32':
+    case 'uint32z': return data.getUint32(pos, le);
+    case 'float32':
+      return data.getUint32(pos, le) === 0xFFFFFFFF ? null : data.getFloat32(pos, le);
+    case 'float64':
+      return data.getBigUint64(pos, le) === 0xFFFFFFFFFFFFFFFFn ? null : data.getFloat64(pos, le);
+    case 'sint64': return data.getBigInt64(pos, le);
+    case 'uint64':
+    case 'uint64z': return data.getBigUint64(pos, le);
+    default: return null;
+  }
+}
+
+/**
+ * Decode one field. Invalid sentinels become null; a field holding several
+ * elements (size / type width > 1) decodes to an array, or null when every
+ * element is invalid. Strings are UTF-8, cut at the first NUL.
+ */
+export function decodeFieldValue(data, bytes, pos, field, le) {
+  const { size, baseType } = field;
+  const type = getBaseType(baseType);
+  if (!type || size < type.size) return null;
+
+  if (type.name === 'string') {
+    let end = pos;
+    while (end < pos + size && bytes[end] !== 0) end++;
+    return end > pos ? utf8.decode(bytes.subarray(pos, end)) : null;
+  }
+
+  const count = Math.floor(size / type.size);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    let val = readBaseValue(data, pos + i * type.size, type, le);
+    if (val === type.invalid) val = null;
+    if (typeof val === 'bigint') val = toSafeNumber(val);
+    values.push(val);
+  }
+
+  if (count === 1) return values[0];
+  return values.some(v => v != null) ? values : null;
+}
+
+/**
+ * Rebuild a full timestamp from the 5-bit offset of a compressed header.
+ * The offset holds the low 5 bits of the timestamp; a value lower than the
+ * last timestamp's low bits means the counter rolled over.
+ */
+export function resolveCompressedTimestamp(lastTimestamp, timeOffset) {
+  const base = lastTimestamp - (lastTimestamp & 0x1F);
+  let ts = base + timeOffset;
+  if (timeOffset < (lastTimestamp & 0x1F)) ts += 0x20;
+  return ts;
 }
 
 export function garminTimestampToDate(ts) {
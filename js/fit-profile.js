@@ -0,0 +1,330 @@
+/**
+ * FIT profile subset for dive activities.
+ * Maps field numbers of the dive-related messages to names, scale, offset
+ * and units, so parsed values come out named and in physical units.
+ * Decoded value = raw / scale - offset.
+ */
+
+export const MESG_NUM = {
+  FILE_ID: 0,
+  SESSION: 18,
+  LAP: 19,
+  RECORD: 20,
+  EVENT: 21,
+  DEVICE_INFO: 23,
+  DIVE_SETTINGS: 258,
+  DIVE_GAS: 259,
+  DIVE_ALARM: 262,
+  DIVE_SUMMARY: 268,
+  TANK_UPDATE: 319,
+  TANK_SUMMARY: 323,
+  FIELD_DESCRIPTION: 206,
+  DEVELOPER_DATA_ID: 207,
+};
+
+// Enum values used by the dive messages
+export const ENUMS = {
+  water_type: { 0: 'fresh', 1: 'salt', 2: 'en13319', 3: 'custom' },
+  dive_gas_status: { 0: 'disabled', 1: 'enabled', 2: 'backup_only' },
+  dive_gas_mode: { 0: 'open_circuit', 1: 'closed_circuit_diluent' },
+  dive_alarm_type: { 0: 'depth', 1: 'time', 2: 'speed' },
+  tone: { 0: 'off', 1: 'tone', 2: 'vibrate', 3: 'tone_and_vibrate' },
+  deco_model: { 0: 'buhlmann_zhl_16c' },
+  event: { 0: 'timer', 56: 'dive_alert', 57: 'dive_gas_switched' },
+  event_type: { 0: 'start', 1: 'stop', 3: 'marker', 4: 'stop_all' },
+  dive_alert: {
+    0: 'ndl_reached', 1: 'gas_switch_prompted', 2: 'near_surface', 3: 'approaching_ndl',
+    4: 'po2_warn', 5: 'po2_crit_high', 6: 'po2_crit_low', 7: 'time_alert',
+    8: 'depth_alert', 9: 'deco_ceiling_broken', 10: 'deco_complete',
+    11: 'safety_stop_broken', 12: 'safety_stop_complete', 13: 'cns_warning',
+    14: 'cns_critical', 15: 'otu_warning', 16: 'otu_critical', 17: 'ascent_critical',
+    18: 'alert_dismissed_by_key', 19: 'alert_dismissed_by_timeout', 20: 'battery_low',
+    21: 'battery_critical', 22: 'safety_stop_started', 23: 'approaching_first_deco_stop',
+  },
+};
+
+export function enumName(type, value) {
+  return value != null ? ENUMS[type]?.[value] ?? null : null;
+}
+
+function field(name, units = null, scale = 1, offset = 0) {
+  return { name, units, scale, offset };
+}
+
+// Fields shared by every message
+const COMMON_FIELDS = {
+  253: field('timestamp', 's'),
+  254: field('message_index'),
+};
+
+export const PROFILE = {
+  [MESG_NUM.FILE_ID]: {
+    name: 'file_id',
+    fields: {
+      0: field('type'),
+      1: field('manufacturer'),
+      2: field('product'),
+      3: field('serial_number'),
+      4: field('time_created', 's'),
+    },
+  },
+  [MESG_NUM.SESSION]: {
+    name: 'session',
+    fields: {
+      0: field('event'),
+      1: field('event_type'),
+      2: field('start_time', 's'),
+      3: field('start_position_lat', 'semicircles'),
+      4: field('start_position_long', 'semicircles'),
+      5: field('sport'),
+      6: field('sub_sport'),
+      7: field('total_elapsed_time', 's', 1000),
+      8: field('total_timer_time', 's', 1000),
+      9: field('total_distance', 'm', 100),
+      11: field('total_calories', 'kcal'),
+      16: field('avg_heart_rate', 'bpm'),
+      17: field('max_heart_rate', 'bpm'),
+      38: field('end_position_lat', 'semicircles'),
+      39: field('end_position_long', 'semicircles'),
+      57: field('avg_temperature', '°C'),
+      58: field('max_temperature', '°C'),
+      110: field('sport_profile_name'),
+      150: field('min_temperature', '°C'),
+    },
+  },
+  [MESG_NUM.LAP]: {
+    name: 'lap',
+    fields: {
+      0: field('event'),
+      1: field('event_type'),
+      2: field('start_time', 's'),
+      3: field('start_position_lat', 'semicircles'),
+      4: field('start_position_long', 'semicircles'),
+      5: field('end_position_lat', 'semicircles'),
+      6: field('end_position_long', 'semicircles'),
+      7: field('total_elapsed_time', 's', 1000),
+      8: field('total_timer_time', 's', 1000),
+      15: field('avg_heart_rate', 'bpm'),
+      16: field('max_heart_rate', 'bpm'),
+      24: field('lap_trigger'),
+      25: field('sport'),
+      39: field('sub_sport'),
+      50: field('avg_temperature', '°C'),
+      51: field('max_temperature', '°C'),
+      124: field('min_temperature', '°C'),
+    },
+  },
+  [MESG_NUM.RECORD]: {
+    name: 'record',
+    fields: {
+      0: field('position_lat', 'semicircles'),
+      1: field('position_long', 'semicircles'),
+      2: field('altitude', 'm', 5, 500),
+      3: field('heart_rate', 'bpm'),
+      5: field('distance', 'm', 100),
+      6: field('speed', 'm/s', 1000),
+      13: field('temperature', '°C'),
+      91: field('absolute_pressure', 'Pa'),
+      92: field('depth', 'm', 1000),
+      93: field('next_stop_depth', 'm', 1000),
+      94: field('next_stop_time', 's'),
+      95: field('time_to_surface', 's'),
+      96: field('ndl_time', 's'),
+      97: field('cns_load', '%'),
+      98: field('n2_load', '%'),
+      123: field('air_time_remaining', 's'),
+      124: field('pressure_sac', 'bar/min', 100),
+      125: field('volume_sac', 'L/min', 100),
+      126: field('rmv', 'L/min', 100),
+      127: field('ascent_rate', 'm/s', 1000),
+      129: field('po2', 'bar', 100),
+    },
+  },
+  [MESG_NUM.EVENT]: {
+    name: 'event',
+    fields: {
+      0: field('event'),
+      1: field('event_type'),
+      2: field('data16'),
+      3: field('data'),
+      4: field('event_group'),
+    },
+  },
+  [MESG_NUM.DEVICE_INFO]: {
+    name: 'device_info',
+    fields: {
+      0: field('device_index'),
+      1: field('device_type'),
+      2: field('manufacturer'),
+      3: field('serial_number'),
+      4: field('product'),
+      5: field('software_version', null, 100),
+      6: field('hardware_version'),
+      10: field('battery_voltage', 'V', 256),
+      11: field('battery_status'),
+      27: field('product_name'),
+    },
+  },
+  [MESG_NUM.DIVE_SETTINGS]: {
+    name: 'dive_settings',
+    fields: {
+      0: field('name'),
+      1: field('model'),
+      2: field('gf_low', '%'),
+      3: field('gf_high', '%'),
+      4: field('water_type'),
+      5: field('water_density', 'kg/m³'),
+      6: field('po2_warn', 'bar', 100),
+      7: field('po2_critical', 'bar', 100),
+      8: field('po2_deco', 'bar', 100),
+      9: field('safety_stop_enabled'),
+      10: field('bottom_depth', 'm'),
+      11: field('bottom_time', 's'),
+      12: field('apnea_countdown_enabled'),
+      13: field('apnea_countdown_time', 's'),
+      14: field('backlight_mode'),
+      15: field('backlight_brightness'),
+      16: field('backlight_timeout'),
+      17: field('repeat_dive_interval', 's'),
+      18: field('safety_stop_time', 's'),
+      19: field('heart_rate_source_type'),
+      20: field('heart_rate_source'),
+      21: field('travel_gas'),
+      22: field('ccr_low_setpoint_switch_mode'),
+      23: field('ccr_low_setpoint', 'bar', 100),
+      24: field('ccr_low_setpoint_depth', 'm', 1000),
+      25: field('ccr_high_setpoint_switch_mode'),
+      26: field('ccr_high_setpoint', 'bar', 100),
+      27: field('ccr_high_setpoint_depth', 'm', 1000),
+      29: field('gas_consumption_display'),
+      30: field('up_key_enabled'),
+      35: field('dive_sounds'),
+      36: field('last_stop_multiple', null, 10),
+      37: field('no_fly_time_mode'),
+    },
+  },
+  [MESG_NUM.DIVE_GAS]: {
+    name: 'dive_gas',
+    fields: {
+      0: field('helium_content', '%'),
+      1: field('oxygen_content', '%'),
+      2: field('status'),
+      3: field('mode'),
+    },
+  },
+  [MESG_NUM.DIVE_ALARM]: {
+    name: 'dive_alarm',
+    fields: {
+      0: field('depth', 'm', 1000),
+      1: field('time', 's'),
+      2: field('enabled'),
+      3: field('alarm_type'),
+      4: field('sound'),
+      5: field('dive_types'),
+      6: field('id'),
+      7: field('popup_enabled'),
+      8: field('trigger_on_descent'),
+      9: field('trigger_on_ascent'),
+      10: field('repeating'),
+      11: field('speed', 'm/s', 1000),
+    },
+  },
+  [MESG_NUM.DIVE_SUMMARY]: {
+    name: 'dive_summary',
+    fields: {
+      0: field('reference_mesg'),
+      1: field('reference_index'),
+      2: field('avg_depth', 'm', 1000),
+      3: field('max_depth', 'm', 1000),
+      4: field('surface_interval', 's'),
+      5: field('start_cns', '%'),
+      6: field('end_cns', '%'),
+      7: field('start_n2', '%'),
+      8: field('end_n2', '%'),
+      9: field('o2_toxicity', 'OTUs'),
+      10: field('dive_number'),
+      11: field('bottom_time', 's', 1000),
+      12: field('avg_pressure_sac', 'bar/min', 100),
+      13: field('avg_volume_sac', 'L/min', 100),
+      14: field('avg_rmv', 'L/min', 100),
+      15: field('descent_time', 's', 1000),
+      16: field('ascent_time', 's', 1000),
+      17: field('avg_ascent_rate', 'm/s', 1000),
+      22: field('avg_descent_rate', 'm/s', 1000),
+      23: field('max_ascent_rate', 'm/s', 1000),
+      24: field('max_descent_rate', 'm/s', 1000),
+      25: field('hang_time', 's', 1000),
+    },
+  },
+  [MESG_NUM.TANK_UPDATE]: {
+    name: 'tank_update',
+    fields: {
+      0: field('sensor'),
+      1: field('pressure', 'bar', 100),
+    },
+  },
+  [MESG_NUM.TANK_SUMMARY]: {
+    name: 'tank_summary',
+    fields: {
+      0: field('sensor'),
+      1: field('start_pressure', 'bar', 100),
+      2: field('end_pressure', 'bar', 100),
+      3: field('volume_used', 'L', 100),
+    },
+  },
+  [MESG_NUM.FIELD_DESCRIPTION]: {
+    name: 'field_description',
+    fields: {
+      0: field('developer_data_index'),
+      1: field('field_definition_number'),
+      2: field('fit_base_type_id'),
+      3: field('field_name'),
+      6: field('scale'),
+      7: field('offset'),
+      8: field('units'),
+      14: field('native_mesg_num'),
+      15: field('native_field_num'),
+    },
+  },
+  [MESG_NUM.DEVELOPER_DATA_ID]: {
+    name: 'developer_data_id',
+    fields: {
+      0: field('developer_id'),
+      1: field('application_id'),
+      2: field('manufacturer_id'),
+      3: field('developer_data_index'),
+      4: field('application_version'),
+    },
+  },
+};
+
+export function getFieldDef(mesgNum, fieldNum) {
+  return PROFILE[mesgNum]?.fields[fieldNum] || COMMON_FIELDS[fieldNum] || null;
+}
+
+export function scaleValue(value, scale = 1, offset = 0) {
+  if (Array.isArray(value)) return value.map(v => scaleValue(v, scale, offset));
+  if (value == null || typeof value !== 'number') return value;
+  if (scale === 1 && offset === 0) return value;
+  return value / scale - offset;
+}
+
+/**
+ * Turn a raw message keyed by field number into one keyed by field name
+ * with scaled values. Fields missing from the profile keep their number;
+ * developer fields, already decoded by the parser, land in `developer`.
+ */
+export function decodeMessage(raw) {
+  const msg = { _mesgNum: raw._mesgNum, _mesgName: PROFILE[raw._mesgNum]?.name || null };
+  for (const key of Object.keys(raw)) {
+    if (key.startsWith('_')) continue;
+    const def = getFieldDef(raw._mesgNum, Number(key));
+    if (def) {
+      msg[def.name] = scaleValue(raw[key], def.scale, def.offset);
+    } else {
+      msg[key] = raw[key];
+    }
+  }
+  if (raw._developer) msg.developer = raw._developer;
+  return msg;
+}
@@ -0,0 +1,656 @@
+/**
+ * Exchange with other logbooks: UDDF 3.2 and Subsurface XML export and
+ * import, plus time/depth/temperature CSV profiles. Imported dives have the
+ * shape of the FIT ones. Dates are written as local wall-clock time, as
+ * both formats expect.
+ */
+import { diveFromSamples } from './dive-data.js';
+
+export const IMPORT_EXTENSIONS = ['.uddf', '.xml', '.ssrf', '.csv'];
+
+const KELVIN = 273.15;
+const PASCAL_PER_BAR = 1e5;
+
+const pad = n => String(n).padStart(2, '0');
+
+// 2025-12-08T21:08:00 in local time
+function localDateTime(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+const fixed = (value, digits) => Number(value.toFixed(digits));
+
+// Gases a diver can switch to, in FIT order
+const usableGases = dive => (dive.gases || []).filter(g => g.o2 != null && g.status !== 'disabled');
+
+// Index of the first sample at or after `elapsed`
+function sampleIndexAt(samples, elapsed) {
+  const i = samples.findIndex(s => s.elapsed >= elapsed);
+  return i === -1 ? samples.length - 1 : i;
+}
+
+// Tank start/end pressures (bar): transmitter readings, else entered by hand
+function tankPressures(dive) {
+  const readings = (dive.samples || []).map(s => s.tankPressure).filter(p => p != null);
+  if (readings.length) return { start: readings[0], end: readings[readings.length - 1] };
+  return dive.manualPressures || {};
+}
+
+// --- UDDF 3.2 ---
+const mixId = gas => `mix_${gas.o2}_${gas.he || 0}`;
+
+// Dive events with a UDDF waypoint alarm
+const UDDF_ALARMS = { ascent_warning: 'ascent', ceiling_breach: 'deco' };
+
+function uddfDive(dive, number, refs) {
+  const log = dive.log || {};
+  const gases = usableGases(dive);
+  const samples = dive.samples || [];
+
+  // Mix switches and alarms attached to their waypoint
+  const marks = new Map();
+  const mark = (idx, xml) => {
+    const current = marks.get(idx) || '';
+    if (!current.includes(xml)) marks.set(idx, current + xml);
+  };
+  if (gases.length) mark(0, `<switchmix ref="${mixId(gases[0])}"/>`);
+  (dive.events || []).forEach(e => {
+    if (!samples.length) return;
+    const idx = sampleIndexAt(samples, e.elapsed);
+    const gas = e.type === 'gas_switch' ? dive.gases?.find(g => g.index === e.gas) : null;
+    if (gas?.o2 != null) mark(idx, `<switchmix ref="${mixId(gas)}"/>`);
+    if (UDDF_ALARMS[e.type]) mark(idx, `<alarm>${UDDF_ALARMS[e.type]}</alarm>`);
+  });
+
+  const waypoints = samples.map((s, i) => '<waypoint>'
+    + `<divetime>${s.elapsed}</divetime>`
+    + `<depth>${fixed(s.depth ?? 0, 2)}</depth>`
+    + (s.temperature != null ? `<temperature>${fixed(s.temperature + KELVIN, 2)}</temperature>` : '')
+    + (s.tankPressure != null ? `<tankpressure>${Math.round(s.tankPressure * PASCAL_PER_BAR)}</tankpressure>` : '')
+    + (marks.get(i) || '')
+    + '</waypoint>');
+
+  const before = [];
+  if (refs.site) before.push(`<link ref="${refs.site}"/>`);
+  if (refs.buddy) before.push(`<link ref="${refs.buddy}"/>`);
+  // Undated dives (UDDF or Subsurface files without a date, CSV profiles
+  // from a ZIP entry without one) go without <datetime>
+  if (dive.startDate) before.push(`<datetime>${localDateTime(dive.startDate)}</datetime>`);
+  if (number != null) before.push(`<divenumber>${number}</divenumber>`);
+  if (dive.surfaceInterval != null) {
+    before.push(`<surfaceintervalbeforedive><passedtime>${dive.surfaceInterval}</passedtime></surfaceintervalbeforedive>`);
+  }
+  if (refs.computer || log.weights != null) {
+    before.push('<equipmentused>'
+      + (log.weights != null ? `<leadquantity>${log.weights}</leadquantity>` : '')
+      + (refs.computer ? `<link ref="${refs.computer}"/>` : '')
+      + '</equipmentused>');
+  }
+
+  const pressures = tankPressures(dive);
+  const tank = gases.length || dive.tankSize || pressures.start != null ? '<tankdata>'
+    + (gases.length ? `<link ref="${mixId(gases[0])}"/>` : '')
+    + (dive.tankSize ? `<tankvolume>${dive.tankSize / 1000}</tankvolume>` : '')
+    + (pressures.start != null ? `<tankpressurebegin>${Math.round(pressures.start * PASCAL_PER_BAR)}</tankpressurebegin>` : '')
+    + (pressures.end != null ? `<tankpressureend>${Math.round(pressures.end * PASCAL_PER_BAR)}</tankpressureend>` : '')
+    + '</tankdata>' : '';
+
+  const after = [`<greatestdepth>${fixed(dive.maxDepth || 0, 2)}</greatestdepth>`];
+  if (dive.avgDepth != null) after.push(`<averagedepth>${fixed(dive.avgDepth, 2)}</averagedepth>`);
+  after.push(`<diveduration>${Math.round(dive.totalTime || 0)}</diveduration>`);
+  if (dive.minTemp != null) after.push(`<lowesttemperature>${fixed(dive.minTemp + KELVIN, 2)}</lowesttemperature>`);
+  if (log.visibility != null) after.push(`<visibility>${log.visibility}</visibility>`);
+  if (log.rating) after.push(`<rating><ratingvalue>${log.rating * 2}</ratingvalue></rating>`);
+  if (log.notes) after.push(`<notes><para>${escapeXml(log.notes)}</para></notes>`);
+
+  return `<dive id="dive_${refs.index}">
+<informationbeforedive>${before.join('')}</informationbeforedive>
+${tank}
+<samples>
+${waypoints.join('\n')}
+</samples>
+<informationafterdive>${after.join('')}</informationafterdive>
+</dive>`;
+}
+
+/**
+ * UDDF 3.2 document holding `dives`. `numbers` maps dive ids to logbook
+ * numbers.
+ */
+export function exportUddf(dives, numbers = new Map()) {
+  const mixes = new Map();
+  const sites = new Map();
+  const buddies = new Map();
+  const computers = new Map();
+  const refOf = (map, key, prefix) => {
+    if (!map.has(key)) map.set(key, `${prefix}_${map.size + 1}`);
+    return map.get(key);
+  };
+
+  const diveXml = dives.map((dive, i) => {
+    usableGases(dive).forEach(g => mixes.set(mixId(g), g));
+    const site = dive.log?.site?.trim();
+    const buddy = dive.log?.buddy?.trim();
+    return uddfDive(dive, numbers.get(dive.id), {
+      index: i + 1,
+      site: site ? refOf(sites, site, 'site') : null,
+      buddy: buddy ? refOf(buddies, buddy, 'buddy') : null,
+      computer: dive.serialNumber != null ? refOf(computers, dive.serialNumber, 'dc') : null,
+    });
+  });
+
+  // Site positions: the first entry GPS fix recorded there
+  const positions = new Map();
+  dives.forEach(d => {
+    const site = d.log?.site?.trim();
+    if (site && d.entryPosition && !positions.has(site)) positions.set(site, d.entryPosition);
+  });
+
+  const siteXml = [...sites].map(([name, id]) => {
+    const pos = positions.get(name);
+    return `<site id="${id}"><name>${escapeXml(name)}</name>`
+      + (pos ? `<geography><latitude>${pos.lat}</latitude><longitude>${pos.lon}</longitude></geography>` : '')
+      + '</site>';
+  });
+  const buddyXml = [...buddies].map(([name, id]) =>
+    `<buddy id="${id}"><personal><firstname>${escapeXml(name)}</firstname></personal></buddy>`);
+  const computerXml = [...computers].map(([serial, id]) =>
+    `<divecomputer id="${id}"><name>Garmin Descent</name><serialnumber>${serial}</serialnumber></divecomputer>`);
+  const mixXml = [...mixes.values()].map(g =>
+    `<mix id="${mixId(g)}"><o2>${g.o2 / 100}</o2><he>${(g.he || 0) / 100}</he></mix>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<uddf xmlns="http://www.streit.cc/uddf/3.2/" version="3.2.0">
+<generator><name>Garmin Dive +</name><type>logbook</type><datetime>${localDateTime(new Date())}</datetime></generator>
+<diver><owner id="owner"><equipment>${computerXml.join('')}</equipment></owner>${buddyXml.join('')}</diver>
+<divesite>${siteXml.join('')}</divesite>
+<gasdefinitions>${mixXml.join('')}</gasdefinitions>
+<profiledata><repetitiongroup id="rg_1">
+${diveXml.join('\n')}
+</repetitiongroup></profiledata>
+</uddf>
+`;
+}
+
+// --- Subsurface XML ---
+// Dive events with a Subsurface (libdivecomputer) event type and name
+const SUBSURFACE_EVENTS = {
+  ndl_warning: { type: 2, name: 'rbt' },
+  ascent_warning: { type: 3, name: 'ascent' },
+  ceiling_breach: { type: 4, name: 'ceiling' },
+  safety_stop_start: { type: 10, name: 'safety stop' },
+  time_alarm: { type: 17, name: 'divetime' },
+  depth_alarm: { type: 18, name: 'maxdepth' },
+  cns_alarm: { type: 19, name: 'OLF' },
+  po2_alarm: { type: 20, name: 'PO2' },
+};
+const GASCHANGE_TYPE = 25;
+
+// 31:40 min
+function minutesSeconds(seconds) {
+  const s = Math.round(seconds);
+  return `${Math.floor(s / 60)}:${pad(s % 60)} min`;
+}
+
+function subsurfaceDive(dive, number, siteId) {
+  const log = dive.log || {};
+  const gases = usableGases(dive);
+  const samples = dive.samples || [];
+  const pressures = tankPressures(dive);
+
+  const attrs = [];
+  if (number != null) attrs.push(`number='${number}'`);
+  if (log.rating) attrs.push(`rating='${log.rating}'`);
+  if (log.tags?.length) attrs.push(`tags='${escapeXml(log.tags.join(', '))}'`);
+  if (siteId) attrs.push(`divesiteid='${siteId}'`);
+  if (dive.startDate) {
+    const start = localDateTime(dive.startDate);
+    attrs.push(`date='${start.slice(0, 10)}'`, `time='${start.slice(11)}'`);
+  }
+  attrs.push(`duration='${minutesSeconds(dive.totalTime || 0)}'`);
+
+  const lines = [`<dive ${attrs.join(' ')}>`];
+  if (log.buddy) lines.push(`<buddy>${escapeXml(log.buddy)}</buddy>`);
+  if (log.suit) lines.push(`<suit>${escapeXml(log.suit)}</suit>`);
+  if (log.notes) lines.push(`<notes>${escapeXml(log.notes)}</notes>`);
+
+  // The first cylinder carries the tank size and pressures
+  const cylinders = gases.length ? gases : [null];
+  cylinders.forEach((g, i) => {
+    const cyl = [];
+    if (i === 0 && dive.tankSize) cyl.push(`size='${dive.tankSize.toFixed(1)} l'`);
+    if (i === 0 && log.tank) cyl.push(`description='${escapeXml(log.tank)}'`);
+    if (g) cyl.push(`o2='${g.o2.toFixed(1)}%'`);
+    if (g?.he) cyl.push(`he='${g.he.toFixed(1)}%'`);
+    if (i === 0 && pressures.start != null) cyl.push(`start='${pressures.start.toFixed(1)} bar'`);
+    if (i === 0 && pressures.end != null) cyl.push(`end='${pressures.end.toFixed(1)} bar'`);
+    if (cyl.length) lines.push(`<cylinder ${cyl.join(' ')} />`);
+  });
+  if (log.weights != null) lines.push(`<weightsystem weight='${log.weights.toFixed(1)} kg' description='lestage' />`);
+
+  const dc = ["model='Garmin Descent'"];
+  if (dive.serialNumber != null) dc.push(`deviceid='${Number(dive.serialNumber).toString(16)}'`);
+  lines.push(`<divecomputer ${dc.join(' ')}>`);
+  lines.push(`<depth max='${(dive.maxDepth || 0).toFixed(2)} m'`
+    + `${dive.avgDepth != null ? ` mean='${dive.avgDepth.toFixed(2)} m'` : ''} />`);
+  if (dive.minTemp != null) lines.push(`<temperature water='${dive.minTemp.toFixed(1)} C' />`);
+
+  (dive.events || []).forEach(e => {
+    const time = `time='${minutesSeconds(e.elapsed)}'`;
+    if (e.type === 'gas_switch') {
+      const cylinder = gases.findIndex(g => g.index === e.gas);
+      if (cylinder === -1) return;
+      const g = gases[cylinder];
+      const value = g.o2 + ((g.he || 0) << 16);
+      lines.push(`<event ${time} type='${GASCHANGE_TYPE}' name='gaschange' cylinder='${cylinder}' value='${value}' />`);
+    } else if (SUBSURFACE_EVENTS[e.type]) {
+      const { type, name } = SUBSURFACE_EVENTS[e.type];
+      lines.push(`<event ${time} type='${type}' name='${name}' />`);
+    }
+  });
+
+  // Temperature and pressure only when they change, as Subsurface writes them
+  let lastTemp = null;
+  let lastPressure = null;
+  samples.forEach(s => {
+    let line = `<sample time='${minutesSeconds(s.elapsed)}' depth='${(s.depth ?? 0).toFixed(2)} m'`;
+    if (s.temperature != null && s.temperature !== lastTemp) {
+      line += ` temp='${s.temperature.toFixed(1)} C'`;
+      lastTemp = s.temperature;
+    }
+    if (s.tankPressure != null && s.tankPressure !== lastPressure) {
+      line += ` pressure='${s.tankPressure.toFixed(1)} bar'`;
+      lastPressure = s.tankPressure;
+    }
+    lines.push(`${line} />`);
+  });
+  lines.push('</divecomputer>', '</dive>');
+  return lines.join('\n');
+}
+
+/**
+ * Subsurface XML logbook holding `dives`. `numbers` maps dive ids to
+ * logbook numbers.
+ */
+export function exportSubsurface(dives, numbers = new Map()) {
+  const sites = new Map();
+  dives.forEach(d => {
+    const name = d.log?.site?.trim();
+    if (!name) return;
+    if (!sites.has(name)) sites.set(name, { uuid: (sites.size + 1).toString(16).padStart(8, '0'), position: null });
+    const site = sites.get(name);
+    if (!site.position && d.entryPosition) site.position = d.entryPosition;
+  });
+
+  const siteXml = [...sites].map(([name, s]) => `<site uuid='${s.uuid}' name='${escapeXml(name)}'`
+    + `${s.position ? ` gps='${s.position.lat.toFixed(6)} ${s.position.lon.toFixed(6)}'` : ''} />`);
+  const diveXml = dives.map(d =>
+    subsurfaceDive(d, numbers.get(d.id), sites.get(d.log?.site?.trim())?.uuid));
+
+  return `<divelog program='garmin-dive-plus' version='3'>
+<divesites>
+${siteXml.join('\n')}
+</divesites>
+<dives>
+${diveXml.join('\n')}
+</dives>
+</divelog>
+`;
+}
+
+// --- Import ---
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Invalid XML file');
+  return doc;
+}
+
+// Direct children named `name`, whatever the namespace
+const children = (el, name) => [...(el?.children || [])].filter(c => c.localName === name);
+const child = (el, name) => children(el, name)[0] || null;
+
+// Number held by the element at `path` ('a/b/c') under `el`, or null
+function numberAt(el, path) {
+  const node = path.split('/').reduce((cur, name) => child(cur, name), el);
+  const value = node ? parseFloat(node.textContent) : NaN;
+  return Number.isFinite(value) ? value : null;
+}
+
+function textAt(el, path) {
+  const node = path.split('/').reduce((cur, name) => child(cur, name), el);
+  return node?.textContent.trim() || null;
+}
+
+const byLocalName = (root, name) => [...root.getElementsByTagName('*')].filter(el => el.localName === name);
+
+// Log fields without empty values; null when none is left
+function cleanLog(log) {
+  const entries = Object.entries(log).filter(([, v]) => v != null && v !== '' && !(Array.isArray(v) && !v.length));
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+// null for an undated dive, as exported
+function parseDate(text) {
+  if (!text) return null;
+  const date = new Date(text);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid dive date ${text}`);
+  return date;
+}
+
+// Summary values given by the file win over those computed from samples
+const summary = values => Object.fromEntries(Object.entries(values).filter(([, v]) => v != null));
+
+/**
+ * Dives of a UDDF document.
+ */
+export function parseUddf(text) {
+  const doc = parseXml(text);
+
+  const mixes = new Map(byLocalName(doc, 'mix').map(m => [m.getAttribute('id'), {
+    o2: Math.round((numberAt(m, 'o2') ?? 0.21) * 100),
+    he: Math.round((numberAt(m, 'he') ?? 0) * 100),
+  }]));
+  const sites = new Map(byLocalName(doc, 'site').map(s => [s.getAttribute('id'), {
+    name: textAt(s, 'name'),
+    lat: numberAt(s, 'geography/latitude'),
+    lon: numberAt(s, 'geography/longitude'),
+  }]));
+  const buddies = new Map(byLocalName(doc, 'buddy').map(b => [b.getAttribute('id'),
+    [textAt(b, 'personal/firstname'), textAt(b, 'personal/lastname')].filter(Boolean).join(' ')]));
+  const computers = new Map(byLocalName(doc, 'divecomputer').map(c => [c.getAttribute('id'),
+    numberAt(c, 'serialnumber')]));
+
+  const dives = byLocalName(doc, 'dive').map(el => {
+    const before = child(el, 'informationbeforedive');
+    const after = child(el, 'informationafterdive');
+    const links = [...children(before, 'link'), ...children(child(before, 'equipmentused'), 'link')]
+      .map(l => l.getAttribute('ref'));
+
+    // Gases in order of first use, starting with the tank mix
+    const gases = [];
+    const gasIndex = ref => {
+      const mix = mixes.get(ref);
+      if (!mix) return null;
+      let gas = gases.find(g => g.o2 === mix.o2 && g.he === mix.he);
+      if (!gas) {
+        gas = { index: gases.length, ...mix, status: 'enabled', mode: 'open_circuit' };
+        gases.push(gas);
+      }
+      return gas.index;
+    };
+    const tank = child(el, 'tankdata');
+    const tankMix = children(tank, 'link').map(l => l.getAttribute('ref')).find(ref => mixes.has(ref));
+    if (tankMix) gasIndex(tankMix);
+
+    const samples = [];
+    const events = [];
+    children(child(el, 'samples'), 'waypoint').forEach(wp => {
+      const elapsed = numberAt(wp, 'divetime');
+      if (elapsed == null) return;
+      const temperature = numberAt(wp, 'temperature');
+      const pressure = numberAt(wp, 'tankpressure');
+      samples.push({
+        elapsed,
+        depth: numberAt(wp, 'depth'),
+        temperature: temperature != null ? fixed(temperature - KELVIN, 2) : null,
+        tankPressure: pressure != null ? pressure / PASCAL_PER_BAR : null,
+      });
+      children(wp, 'switchmix').forEach(sw => {
+        const gas = gasIndex(sw.getAttribute('ref'));
+        if (gas != null) events.push({ type: 'gas_switch', elapsed, gas });
+      });
+      children(wp, 'alarm').forEach(a => {
+        const type = Object.keys(UDDF_ALARMS).find(k => UDDF_ALARMS[k] === a.textContent.trim());
+        if (type) events.push({ type, elapsed });
+      });
+    });
+    if (samples.length === 0) return null;
+
+    const site = links.map(ref => sites.get(ref)).find(Boolean);
+    const rating = numberAt(after, 'rating/ratingvalue');
+    const begin = numberAt(tank, 'tankpressurebegin');
+    const end = numberAt(tank, 'tankpressureend');
+    const volume = numberAt(tank, 'tankvolume');
+    const hasTransmitter = samples.some(s => s.tankPressure != null);
+    const passed = numberAt(before, 'surfaceintervalbeforedive/passedtime');
+
+    return diveFromSamples(parseDate(textAt(before, 'datetime')), samples, {
+      ...summary({
+        totalTime: numberAt(after, 'diveduration'),
+        maxDepth: numberAt(after, 'greatestdepth'),
+        avgDepth: numberAt(after, 'averagedepth'),
+      }),
+      gases,
+      events,
+      surfaceInterval: passed,
+      entryPosition: site?.lat != null && site?.lon != null ? { lat: site.lat, lon: site.lon } : null,
+      serialNumber: links.map(ref => computers.get(ref)).find(s => s != null) ?? null,
+      ...(volume ? { tankSize: fixed(volume * 1000, 1) } : {}),
+      ...(!hasTransmitter && (begin != null || end != null) ? {
+        manualPressures: {
+          start: begin != null ? begin / PASCAL_PER_BAR : null,
+          end: end != null ? end / PASCAL_PER_BAR : null,
+        },
+      } : {}),
+      log: cleanLog({
+        site: site?.name,
+        buddy: links.map(ref => buddies.get(ref)).find(Boolean),
+        weights: numberAt(before, 'equipmentused/leadquantity'),
+        visibility: numberAt(after, 'visibility'),
+        rating: rating ? Math.min(5, Math.max(1, Math.round(rating / 2))) : null,
+        notes: children(child(after, 'notes'), 'para').map(p => p.textContent.trim()).join('\n\n'),
+      }),
+    });
+  }).filter(Boolean);
+
+  if (dives.length === 0) throw new Error('No dive found in UDDF file');
+  return dives;
+}
+
+// '31:40 min', '1:05:10', '95 s' -> seconds
+function parseDuration(text) {
+  if (!text) return null;
+  const value = text.trim().split(/\s+/)[0];
+  if (value.includes(':')) return value.split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  const n = parseFloat(value);
+  if (!Number.isFinite(n)) return null;
+  return /min/.test(text) ? n * 60 : n;
+}
+
+// Leading number of a unit value ('18.60 m', '32.0%'), or null
+function unitNumber(text) {
+  const n = text != null ? parseFloat(text) : NaN;
+  return Number.isFinite(n) ? n : null;
+}
+
+const subsurfaceEventType = name =>
+  Object.keys(SUBSURFACE_EVENTS).find(k => SUBSURFACE_EVENTS[k].name === name) || null;
+
+/**
+ * Dives of a Subsurface XML logbook (first dive computer of each dive).
+ */
+export function parseSubsurface(text) {
+  const doc = parseXml(text);
+  if (doc.documentElement.localName !== 'divelog') throw new Error('Not a Subsurface logbook');
+
+  const sites = new Map(byLocalName(doc, 'site').map(s => {
+    const [lat, lon] = (s.getAttribute('gps') || '').split(/\s+/).map(parseFloat);
+    return [s.getAttribute('uuid')?.trim(), {
+      name: s.getAttribute('name'),
+      position: Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : null,
+    }];
+  }));
+
+  const dives = byLocalName(doc, 'dive').map(el => {
+    const dc = child(el, 'divecomputer');
+    if (!dc) return null;
+
+    let temperature = null;
+    let pressure = null;
+    const samples = children(dc, 'sample').map(s => {
+      // Temperature and pressure hold their last value between readings
+      temperature = unitNumber(s.getAttribute('temp')) ?? temperature;
+      pressure = unitNumber(s.getAttribute('pressure')) ?? pressure;
+      return {
+        elapsed: parseDuration(s.getAttribute('time')),
+        depth: unitNumber(s.getAttribute('depth')),
+        temperature,
+        tankPressure: pressure,
+      };
+    }).filter(s => s.elapsed != null);
+    if (samples.length === 0) return null;
+
+    const cylinders = children(el, 'cylinder');
+    const gases = cylinders.map((c, index) => ({
+      index,
+      o2: unitNumber(c.getAttribute('o2')) ?? 21,
+      he: unitNumber(c.getAttribute('he')) ?? 0,
+      status: 'enabled',
+      mode: 'open_circuit',
+    }));
+
+    const events = children(dc, 'event').map(e => {
+      const elapsed = parseDuration(e.getAttribute('time'));
+      const name = e.getAttribute('name');
+      if (elapsed == null) return null;
+      if (name === 'gaschange') {
+        let gas = unitNumber(e.getAttribute('cylinder'));
+        if (gas == null) {
+          // Older logs give the mix only: O2 % in the low bits, He above
+          const value = unitNumber(e.getAttribute('value')) ?? 0;
+          gas = gases.findIndex(g => g.o2 === (value & 0xFFFF) && g.he === (value >> 16));
+        }
+        return gas >= 0 && gases[gas] ? { type: 'gas_switch', elapsed, gas } : null;
+      }
+      const type = subsurfaceEventType(name);
+      return type ? { type, elapsed } : null;
+    }).filter(Boolean);
+
+    const site = sites.get(el.getAttribute('divesiteid')?.trim());
+    const tank = cylinders[0];
+    const start = unitNumber(tank?.getAttribute('start'));
+    const end = unitNumber(tank?.getAttribute('end'));
+    const size = unitNumber(tank?.getAttribute('size'));
+    const hasTransmitter = samples.some(s => s.tankPressure != null);
+    const deviceId = dc.getAttribute('deviceid');
+    const rating = unitNumber(el.getAttribute('rating'));
+    const date = el.getAttribute('date');
+    const time = el.getAttribute('time') || '00:00:00';
+
+    const depth = child(dc, 'depth');
+    return diveFromSamples(parseDate(date && `${date}T${time}`), samples, {
+      ...summary({
+        totalTime: parseDuration(el.getAttribute('duration')),
+        maxDepth: unitNumber(depth?.getAttribute('max')),
+        avgDepth: unitNumber(depth?.getAttribute('mean')),
+      }),
+      gases,
+      events,
+      entryPosition: site?.position || null,
+      serialNumber: deviceId ? parseInt(deviceId, 16) : null,
+      ...(size ? { tankSize: size } : {}),
+      ...(!hasTransmitter && (start != null || end != null) ? { manualPressures: { start, end } } : {}),
+      log: cleanLog({
+        site: site?.name,
+        buddy: textAt(el, 'buddy'),
+        suit: textAt(el, 'suit'),
+        tank: tank?.getAttribute('description'),
+        weights: unitNumber(child(el, 'weightsystem')?.getAttribute('weight')),
+        rating: rating > 0 ? rating : null,
+        notes: textAt(el, 'notes'),
+        tags: (el.getAttribute('tags') || '').split(',').map(t => t.trim()).filter(Boolean),
+      }),
+    });
+  }).filter(Boolean);
+
+  if (dives.length === 0) throw new Error('No dive found in Subsurface file');
+  return dives;
+}
+
+// CSV columns recognised from their header, French or English
+const CSV_COLUMNS = [
+  { key: 'elapsed', pattern: /^(time|temps|elapsed|run ?time|dur[ée]e)/ },
+  { key: 'depth', pattern: /^(depth|prof)/ },
+  { key: 'temperature', pattern: /^(temp|water)/ },
+  { key: 'tankPressure', pattern: /^(pressure|pression|tank)/ },
+];
+
+/**
+ * Dive of a CSV profile: one row per sample with time, depth and
+ * optionally temperature and tank pressure. Without a header the columns
+ * are time, depth, temperature. Times are seconds, m:ss or h:mm:ss (minutes
+ * when the header says so). CSV has no dive date: `startDate` sets it
+ * (null leaves the dive undated).
+ */
+export function parseCsvProfile(text, { startDate = new Date() } = {}) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (lines.length === 0) throw new Error('Empty CSV file');
+
+  const delimiter = [';', '\t', ','].find(d => lines[0].includes(d)) || ',';
+  // With ; or tab separators, decimals may use a comma
+  const toNumber = cell => parseFloat(delimiter === ',' ? cell : cell.replace(',', '.'));
+  const split = line => line.split(delimiter).map(c => c.trim().replace(/^"(.*)"$/, '$1'));
+
+  let columns = { elapsed: 0, depth: 1, temperature: 2 };
+  let minutes = false;
+  const first = split(lines[0]);
+  if (first.some(c => c && !Number.isFinite(toNumber(c)))) {
+    columns = {};
+    first.forEach((cell, i) => {
+      const name = cell.toLowerCase();
+      const column = CSV_COLUMNS.find(c => columns[c.key] === undefined && c.pattern.test(name));
+      if (!column) return;
+      columns[column.key] = i;
+      if (column.key === 'elapsed') minutes = /\bmin/.test(name);
+    });
+    lines.shift();
+    if (columns.elapsed === undefined || columns.depth === undefined) {
+      throw new Error('CSV needs time and depth columns');
+    }
+  }
+
+  const samples = lines.map(line => {
+    const cells = split(line);
+    const cell = key => (columns[key] !== undefined ? cells[columns[key]] : undefined);
+    const number = key => {
+      const n = cell(key) != null ? toNumber(cell(key)) : NaN;
+      return Number.isFinite(n) ? n : null;
+    };
+    const time = cell('elapsed') || '';
+    const elapsed = time.includes(':')
+      ? parseDuration(time)
+      : (number('elapsed') != null ? number('elapsed') * (minutes ? 60 : 1) : null);
+    return { elapsed, depth: number('depth'), temperature: number('temperature'), tankPressure: number('tankPressure') };
+  }).filter(s => s.elapsed != null && s.depth != null);
+
+  if (samples.length < 2) throw new Error('No dive samples found in CSV file');
+  samples.sort((a, b) => a.elapsed - b.elapsed);
+  return diveFromSamples(startDate, samples);
+}
+
+/**
+ * Dives of a UDDF, Subsurface XML or CSV file, told apart by extension and,
+ * for .xml, by root element.
+ */
+export function parseImportFile(name, text, { startDate } = {}) {
+  const ext = name.toLowerCase().slice(name.lastIndexOf('.'));
+  if (ext === '.csv') return [parseCsvProfile(text, { startDate })];
+  if (ext === '.uddf') return parseUddf(text);
+  if (ext === '.ssrf') return parseSubsurface(text);
+  return /<uddf[\s>]/.test(text) ? parseUddf(text) : parseSubsurface(text);
+}
+
+// Export file name: the dive date for one dated dive, else the export day
+export function exportFileName(dives, ext) {
+  if (dives.length === 1 && dives[0].startDate) {
+    return `plongee-${localDateTime(dives[0].startDate).slice(0, 16).replace(/[T:]/g, '-')}.${ext}`;
+  }
+  return `plongees-${localDateTime(new Date()).slice(0, 10)}.${ext}`;
+}
@@ -0,0 +1,279 @@
+/**
+ * Printable logbook pages: one page per dive with the profile, summary,
+ * gases, events, log entries and a signature/stamp box. Rendered as HTML
+ * for the browser print dialog, or as a PDF built on the device.
+ */
+import {
+  formatDuration, formatDate, formatGas, formatPosition, formatSurfaceInterval, eventLabel, escapeHtml,
+} from './dive-data.js';
+import { computeConsumption } from './consumption.js';
+import { createPdf, wrapText, textWidth, PAGE_WIDTH, PAGE_HEIGHT } from './pdf.js';
+
+// Profile image size, px (about 200 dpi across an A4 page)
+const PROFILE_WIDTH = 1600;
+const PROFILE_HEIGHT = 560;
+const MARGIN = 40; // pt
+
+// Time grid step (s) giving at most 12 lines
+function timeStep(total) {
+  const minutes = [1, 2, 5, 10, 15, 20, 30, 60].find(m => total / (m * 60) <= 12) || 120;
+  return minutes * 60;
+}
+
+/**
+ * Depth profile of a dive drawn for print: dark on white, depth and time
+ * grids, events as dots on the line.
+ */
+export function drawProfile(dive) {
+  const canvas = document.createElement('canvas');
+  canvas.width = PROFILE_WIDTH;
+  canvas.height = PROFILE_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const pad = { left: 90, right: 30, top: 24, bottom: 64 };
+  const samples = (dive.samples || []).filter(s => s.depth != null);
+  const total = Math.max(60, samples.length ? samples[samples.length - 1].elapsed : 0);
+  const maxDepth = Math.max(5, Math.ceil((dive.maxDepth || 0) / 5) * 5);
+  const x = t => pad.left + (t / total) * (PROFILE_WIDTH - pad.left - pad.right);
+  const y = d => pad.top + (d / maxDepth) * (PROFILE_HEIGHT - pad.top - pad.bottom);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, PROFILE_WIDTH, PROFILE_HEIGHT);
+  ctx.font = '24px sans-serif';
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = '#d0d0d0';
+  ctx.fillStyle = '#444444';
+
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let d = 0; d <= maxDepth; d += maxDepth > 20 ? 10 : 5) {
+    ctx.beginPath();
+    ctx.moveTo(pad.left, y(d));
+    ctx.lineTo(PROFILE_WIDTH - pad.right, y(d));
+    ctx.stroke();
+    ctx.fillText(`${d} m`, pad.left - 12, y(d));
+  }
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  const step = timeStep(total);
+  for (let t = 0; t <= total; t += step) {
+    ctx.beginPath();
+    ctx.moveTo(x(t), pad.top);
+    ctx.lineTo(x(t), y(maxDepth));
+    ctx.stroke();
+    ctx.fillText(`${t / 60} min`, x(t), y(maxDepth) + 14);
+  }
+
+  if (samples.length) {
+    ctx.beginPath();
+    ctx.moveTo(x(samples[0].elapsed), y(0));
+    samples.forEach(s => ctx.lineTo(x(s.elapsed), y(s.depth)));
+    ctx.lineTo(x(samples[samples.length - 1].elapsed), y(0));
+    ctx.closePath();
+    ctx.fillStyle = '#d6eaf5';
+    ctx.fill();
+
+    ctx.beginPath();
+    samples.forEach((s, i) => (i ? ctx.lineTo(x(s.elapsed), y(s.depth)) : ctx.moveTo(x(s.elapsed), y(s.depth))));
+    ctx.strokeStyle = '#0b4f7a';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+
+    ctx.fillStyle = '#c1121f';
+    markedEvents(dive).forEach(e => {
+      const s = samples.find(p => p.elapsed >= e.elapsed) || samples[samples.length - 1];
+      ctx.beginPath();
+      ctx.arc(x(s.elapsed), y(s.depth), 7, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+  return canvas;
+}
+
+// Events worth listing: start and end of the dive are left out
+const markedEvents = dive => (dive.events || []).filter(e => e.type !== 'dive_start' && e.type !== 'dive_end');
+
+function depthAt(dive, elapsed) {
+  const s = (dive.samples || []).find(p => p.elapsed >= elapsed);
+  return s?.depth != null ? `${s.depth.toFixed(1)} m` : '—';
+}
+
+/**
+ * Text content of a dive's logbook page, shared by the HTML and PDF layouts.
+ */
+export function pageContent(dive, number) {
+  const log = dive.log || {};
+  const summary = [
+    ['Prof. max', `${dive.maxDepth?.toFixed(1) || '—'} m`],
+    ['Prof. moy.', dive.avgDepth ? `${dive.avgDepth.toFixed(1)} m` : '—'],
+    ['Durée', formatDuration(dive.totalTime)],
+    ['Temp. min', dive.minTemp != null ? `${dive.minTemp} °C` : '—'],
+    ['Temp. max', dive.maxTemp != null ? `${dive.maxTemp} °C` : '—'],
+  ];
+  if (dive.surfaceInterval != null) summary.push(['Intervalle surface', formatSurfaceInterval(dive.surfaceInterval)]);
+  const consumption = computeConsumption(dive);
+  if (consumption) {
+    summary.push(['Consommation', consumption.rmv != null
+      ? `${consumption.rmv.toFixed(1)} L/min`
+      : `${consumption.sac.toFixed(2)} bar/min`]);
+  }
+  if (dive.settings?.gfLow != null) summary.push(['Facteurs de gradient', `${dive.settings.gfLow}/${dive.settings.gfHigh}`]);
+
+  const details = [
+    ['Site', log.site],
+    ['Binôme', log.buddy],
+    ['Combinaison', log.suit],
+    ['Bloc', log.tank],
+    ['Lestage', log.weights != null ? `${log.weights} kg` : null],
+    ['Visibilité', log.visibility != null ? `${log.visibility} m` : null],
+    ['Note', log.rating ? `${log.rating}/5` : null],
+    ['GPS entrée', dive.entryPosition ? formatPosition(dive.entryPosition) : null],
+    ['Tags', log.tags?.length ? log.tags.join(', ') : null],
+  ].filter(([, value]) => value != null && value !== '');
+
+  return {
+    title: number != null ? `Plongée n°${number}` : 'Plongée',
+    subtitle: [formatDate(dive.startDate), log.site].filter(Boolean).join(' · '),
+    summary,
+    gases: [...new Set((dive.gases || []).filter(g => g.o2 != null && g.status !== 'disabled').map(formatGas))],
+    events: markedEvents(dive).map(e => [formatDuration(e.elapsed), eventLabel(e, dive), depthAt(dive, e.elapsed)]),
+    details,
+    notes: log.notes || '',
+  };
+}
+
+const SIGNATURE_LABEL = 'Signature du binôme ou du moniteur';
+const SIGNATURE_HINT = 'Nom, niveau et n° de licence';
+const STAMP_LABEL = 'Tampon du club';
+
+/**
+ * Fill `container` with one print page per dive. `numbers` maps dive ids
+ * to logbook numbers.
+ */
+export function renderPrintPages(container, dives, numbers) {
+  container.innerHTML = dives.map(dive => {
+    const c = pageContent(dive, numbers.get(dive.id));
+    const rows = items => items.map(([label, value]) =>
+      `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('');
+    return `
+      <article class="print-page">
+        <header>
+          <h1>${escapeHtml(c.title)}</h1>
+          <p>${escapeHtml(c.subtitle)}</p>
+        </header>
+        <img class="print-profile" src="${drawProfile(dive).toDataURL('image/png')}" alt="Profil de plongée">
+        <div class="print-summary">
+          ${c.summary.map(([label, value]) => `<div><span>${label}</span><strong>${value}</strong></div>`).join('')}
+        </div>
+        ${c.gases.length ? `<h2>Gaz</h2><p>${c.gases.join(', ')}</p>` : ''}
+        ${c.events.length ? `<h2>Événements</h2><table>${c.events.map(([time, label, depth]) =>
+          `<tr><td>${time}</td><td>${escapeHtml(label)}</td><td>${depth}</td></tr>`).join('')}</table>` : ''}
+        ${c.details.length ? `<h2>Carnet</h2><table>${rows(c.details)}</table>` : ''}
+        ${c.notes ? `<p class="print-notes">${escapeHtml(c.notes)}</p>` : ''}
+        <div class="print-signatures">
+          <div class="print-box"><span>${SIGNATURE_LABEL}</span><small>${SIGNATURE_HINT}</small></div>
+          <div class="print-box"><span>${STAMP_LABEL}</span></div>
+        </div>
+      </article>
+    `;
+  }).join('');
+}
+
+function dataUrlBytes(url) {
+  const binary = atob(url.slice(url.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * PDF logbook of `dives`, one or more A4 pages per dive.
+ */
+export function buildLogbookPdf(dives, numbers) {
+  const pdf = createPdf();
+  const width = PAGE_WIDTH - 2 * MARGIN;
+  const grey = '#666666';
+
+  dives.forEach(dive => {
+    const c = pageContent(dive, numbers.get(dive.id));
+    pdf.addPage();
+    let top = MARGIN;
+    // Continue on a new page when `height` no longer fits
+    const ensure = height => {
+      if (top + height <= PAGE_HEIGHT - MARGIN) return;
+      pdf.addPage();
+      top = MARGIN;
+    };
+    const section = title => {
+      ensure(40);
+      top += 18;
+      pdf.text(title, MARGIN, top, { size: 11, bold: true });
+      pdf.line(MARGIN, top + 4, MARGIN + width, top + 4, { color: '#999999' });
+      top += 18;
+    };
+
+    pdf.text(c.title, MARGIN, top + 16, { size: 18, bold: true });
+    pdf.text(c.subtitle, MARGIN, top + 32, { size: 10, color: grey });
+    top += 44;
+
+    const profile = drawProfile(dive);
+    const height = width * (PROFILE_HEIGHT / PROFILE_WIDTH);
+    pdf.image(dataUrlBytes(profile.toDataURL('image/jpeg', 0.9)), PROFILE_WIDTH, PROFILE_HEIGHT, MARGIN, top, width, height);
+    top += height + 12;
+
+    // Summary in rows of four
+    const column = width / 4;
+    c.summary.forEach(([label, value], i) => {
+      if (i > 0 && i % 4 === 0) top += 30;
+      const x = MARGIN + (i % 4) * column;
+      pdf.text(label, x, top + 10, { size: 8, color: grey });
+      pdf.text(value, x, top + 24, { size: 12, bold: true });
+    });
+    top += 30;
+
+    if (c.gases.length) {
+      section('Gaz');
+      pdf.text(c.gases.join(', '), MARGIN, top, { size: 10 });
+    }
+    if (c.events.length) {
+      section('Événements');
+      c.events.forEach(([time, label, depth]) => {
+        ensure(14);
+        pdf.text(time, MARGIN, top, { size: 9 });
+        pdf.text(label, MARGIN + 60, top, { size: 9 });
+        pdf.text(depth, MARGIN + width - textWidth(depth, 9), top, { size: 9 });
+        top += 13;
+      });
+      top -= 13;
+    }
+    if (c.details.length) {
+      section('Carnet');
+      c.details.forEach(([label, value]) => {
+        ensure(14);
+        pdf.text(label, MARGIN, top, { size: 9, color: grey });
+        pdf.text(value, MARGIN + 110, top, { size: 9 });
+        top += 13;
+      });
+      top -= 13;
+    }
+    if (c.notes) {
+      top += 8;
+      wrapText(c.notes, 9, width).forEach(line => {
+        top += 13;
+        ensure(14);
+        pdf.text(line, MARGIN, top, { size: 9 });
+      });
+    }
+
+    // Signature and stamp boxes
+    const boxHeight = 90;
+    const boxWidth = (width - 20) / 2;
+    top += 24;
+    ensure(boxHeight);
+    pdf.rect(MARGIN, top, boxWidth, boxHeight);
+    pdf.text(SIGNATURE_LABEL, MARGIN + 8, top + 14, { size: 9, color: grey });
+    pdf.text(SIGNATURE_HINT, MARGIN + 8, top + boxHeight - 8, { size: 7, color: grey });
+    pdf.rect(MARGIN + boxWidth + 20, top, boxWidth, boxHeight);
+    pdf.text(STAMP_LABEL, MARGIN + boxWidth + 28, top + 14, { size: 9, color: grey });
+  });
+  return pdf.toBlob();
+}
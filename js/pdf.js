@@ -0,0 +1,174 @@
+/**
+ * Minimal PDF writer for the printable logbook: A4 pages with text in the
+ * standard Helvetica fonts, lines, rectangles and JPEG images. Coordinates
+ * are points from the top-left corner of the page. No font embedding, so
+ * text is limited to the Windows-1252 character set.
+ */
+
+export const PAGE_WIDTH = 595.28;  // A4, pt
+export const PAGE_HEIGHT = 841.89;
+
+// Average Helvetica glyph width (em) used to wrap text; real widths vary
+const AVG_CHAR_WIDTH = 0.52;
+
+// Windows-1252 bytes 0x80-0x9F by Unicode character
+const WIN_ANSI = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+  '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+  'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F,
+};
+
+// PDF string literal in WinAnsiEncoding, '?' for characters it lacks
+function pdfString(text) {
+  let out = '(';
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    let byte = WIN_ANSI[ch] ?? (code < 256 && (code < 0x80 || code > 0x9F) ? code : 0x3F);
+    if (ch === '\n' || ch === '\r' || ch === '\t') byte = 0x20;
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5C) out += `\\${String.fromCharCode(byte)}`;
+    else if (byte < 0x20 || byte > 0x7E) out += `\\${byte.toString(8).padStart(3, '0')}`;
+    else out += String.fromCharCode(byte);
+  }
+  return `${out})`;
+}
+
+const num = n => Number(n.toFixed(2)).toString();
+
+// '#rrggbb' as PDF RGB operands
+function rgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map(c => num(c / 255)).join(' ');
+}
+
+export function textWidth(text, size) {
+  return String(text).length * size * AVG_CHAR_WIDTH;
+}
+
+/**
+ * Lines of `text` fitting `maxWidth` at `size`, broken at spaces and at
+ * the text's own line breaks.
+ */
+export function wrapText(text, size, maxWidth) {
+  const maxChars = Math.max(1, Math.floor(maxWidth / (size * AVG_CHAR_WIDTH)));
+  const lines = [];
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).forEach(word => {
+      while (word.length > maxChars) {
+        if (line) lines.push(line);
+        lines.push(word.slice(0, maxChars));
+        word = word.slice(maxChars);
+        line = '';
+      }
+      if (!line) line = word;
+      else if (line.length + 1 + word.length <= maxChars) line += ` ${word}`;
+      else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * New PDF document. Draw with the returned functions after addPage(), then
+ * get the file with toBlob().
+ */
+export function createPdf() {
+  const pages = []; // { ops: [], images: [] }
+  let page = null;
+  const y = top => num(PAGE_HEIGHT - top);
+
+  return {
+    addPage() {
+      page = { ops: [], images: [] };
+      pages.push(page);
+    },
+
+    text(str, x, top, { size = 10, bold = false, color = '#000000' } = {}) {
+      // `top` is the baseline
+      page.ops.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${y(top)} Td ${pdfString(str)} Tj ET`);
+    },
+
+    line(x1, top1, x2, top2, { width = 0.5, color = '#000000' } = {}) {
+      page.ops.push(`${num(width)} w ${rgb(color)} RG ${num(x1)} ${y(top1)} m ${num(x2)} ${y(top2)} l S`);
+    },
+
+    rect(x, top, w, h, { width = 0.5, stroke = '#000000', fill = null } = {}) {
+      const path = `${num(x)} ${y(top + h)} ${num(w)} ${num(h)} re`;
+      if (fill) page.ops.push(`${rgb(fill)} rg ${path} f`);
+      if (stroke) page.ops.push(`${num(width)} w ${rgb(stroke)} RG ${path} S`);
+    },
+
+    // `jpeg`: JPEG file bytes of an RGB image `pixelWidth` x `pixelHeight`
+    image(jpeg, pixelWidth, pixelHeight, x, top, w, h) {
+      const name = `Im${page.images.length + 1}`;
+      page.images.push({ name, jpeg, pixelWidth, pixelHeight });
+      page.ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${y(top + h)} cm /${name} Do Q`);
+    },
+
+    toBlob() {
+      return new Blob(serialize(pages), { type: 'application/pdf' });
+    },
+  };
+}
+
+// File chunks: objects 1 catalog, 2 page tree, 3-4 fonts, then per page
+// the page, its content stream and its images
+function serialize(pages) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = part => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream = null) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write('stream\n');
+      write(stream);
+      write('\nendstream\n');
+    }
+    write('endobj\n');
+  };
+
+  let nextId = 5;
+  const layout = pages.map(p => {
+    const ids = { page: nextId, content: nextId + 1, images: p.images.map((_, i) => nextId + 2 + i) };
+    nextId += 2 + p.images.length;
+    return ids;
+  });
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${layout.map(l => `${l.page} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  object(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  object(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  pages.forEach((p, i) => {
+    const ids = layout[i];
+    const xobjects = p.images.map((img, j) => `/${img.name} ${ids.images[j]} 0 R`).join(' ');
+    object(ids.page, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}]`
+      + ` /Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >>`
+      + ` /Contents ${ids.content} 0 R >>`);
+    const content = encoder.encode(p.ops.join('\n'));
+    object(ids.content, `<< /Length ${content.length} >>`, content);
+    p.images.forEach((img, j) => {
+      object(ids.images[j], `<< /Type /XObject /Subtype /Image /Width ${img.pixelWidth} /Height ${img.pixelHeight}`
+        + ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.jpeg.length} >>`, img.jpeg);
+    });
+  });
+
+  const xrefOffset = length;
+  let xref = `xref\n0 ${nextId}\n0000000000 65535 f \n`;
+  for (let id = 1; id < nextId; id++) xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  write(`${xref}trailer\n<< /Size ${nextId} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+  return chunks;
+}
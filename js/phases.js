@@ -0,0 +1,174 @@
+/**
+ * Dive phase detection: descent, bottom, ascent, safety and deco stops,
+ * and surface intervals within the recording, from the depth samples.
+ */
+
+const SURFACE_DEPTH = 1;      // m, shallower is at the surface
+const MIN_SURFACE = 30;       // s, shorter surface time stays in the dive
+const LEVEL_WINDOW = 60;      // s, levelled when depth holds this long...
+const LEVEL_TOLERANCE = 1;    // m, ...within this much
+const DESCENT_FRACTION = 0.5; // descent ends once this deep relative to the max
+const SMOOTH_WINDOW = 30;     // s, stops are found on depth averaged over it
+const STOP_BAND = 1.5;        // m, depth range of a stop
+const MIN_STOP = 60;          // s
+const SAFETY_STOP_MIN = 2.5;  // m, safety stop depth band
+const SAFETY_STOP_MAX = 6.5;
+const DECO_MARGIN = 3;        // m, a stop this close to the ceiling is a deco stop
+
+/**
+ * Phases of a dive in time order. `ceilings` (m per sample, from the deco
+ * replay) tells deco stops apart; without it stops deeper than the safety
+ * stop band count as deco stops. Consecutive phases share their boundary
+ * sample. Each phase is { type, startIdx, endIdx, start, end, duration (s),
+ * fromDepth, toDepth, avgDepth (m), speed (m/min, vertical) }.
+ */
+export function detectPhases(dive, ceilings = null) {
+  const samples = dive.samples || [];
+  if (samples.length < 2) return [];
+  const depth = i => samples[i].depth ?? 0;
+  const ranges = [];
+
+  submergedSegments(samples).forEach((seg, k, segs) => {
+    if (k > 0) ranges.push({ type: 'surface', startIdx: segs[k - 1].end, endIdx: seg.start });
+    // The recording's own shallow start and end belong to the dive
+    const start = k === 0 ? 0 : seg.start;
+    const end = k === segs.length - 1 ? samples.length - 1 : seg.end;
+    ranges.push(...segmentPhases(samples, start, end, ceilings));
+  });
+
+  return ranges.filter(r => r.endIdx > r.startIdx).map(({ type, startIdx, endIdx }) => {
+    const start = samples[startIdx].elapsed;
+    const end = samples[endIdx].elapsed;
+    let weighted = 0;
+    for (let i = startIdx + 1; i <= endIdx; i++) {
+      weighted += ((depth(i - 1) + depth(i)) / 2) * (samples[i].elapsed - samples[i - 1].elapsed);
+    }
+    const duration = end - start;
+    return {
+      type,
+      startIdx,
+      endIdx,
+      start,
+      end,
+      duration,
+      fromDepth: depth(startIdx),
+      toDepth: depth(endIdx),
+      avgDepth: duration > 0 ? weighted / duration : depth(startIdx),
+      speed: duration > 0 ? (Math.abs(depth(endIdx) - depth(startIdx)) / duration) * 60 : 0,
+    };
+  });
+}
+
+// Index ranges { start, end } below SURFACE_DEPTH, joined across short
+// surface time
+function submergedSegments(samples) {
+  const segs = [];
+  samples.forEach((s, i) => {
+    if ((s.depth ?? 0) < SURFACE_DEPTH) return;
+    const last = segs[segs.length - 1];
+    if (last && (last.end === i - 1 || s.elapsed - samples[last.end].elapsed < MIN_SURFACE)) last.end = i;
+    else segs.push({ start: i, end: i });
+  });
+  return segs.length ? segs : [{ start: 0, end: samples.length - 1 }];
+}
+
+// Descent, bottom, then the ascent split around its stops
+function segmentPhases(samples, start, end, ceilings) {
+  const depth = i => samples[i].depth ?? 0;
+  let deepest = start;
+  for (let i = start; i <= end; i++) if (depth(i) > depth(deepest)) deepest = i;
+  const maxDepth = depth(deepest);
+
+  // Levelled off: no deeper than LEVEL_TOLERANCE over the window after
+  // (descent) or before (ascent) the sample
+  const levelled = (i, dir) => {
+    for (let j = i + dir; j >= start && j <= end; j += dir) {
+      if (Math.abs(samples[j].elapsed - samples[i].elapsed) > LEVEL_WINDOW) break;
+      if (depth(j) > depth(i) + LEVEL_TOLERANCE) return false;
+    }
+    return true;
+  };
+  const atStop = i => ceilings?.[i] > 0 && depth(i) - ceilings[i] <= DECO_MARGIN;
+
+  let descentEnd = deepest;
+  for (let i = start; i < deepest; i++) {
+    if (depth(i) >= maxDepth * DESCENT_FRACTION && levelled(i, 1)) {
+      descentEnd = i;
+      break;
+    }
+  }
+  let ascentStart = deepest;
+  for (let i = end; i > deepest; i--) {
+    if (depth(i) > SAFETY_STOP_MAX && !atStop(i) && levelled(i, -1)) {
+      ascentStart = i;
+      break;
+    }
+  }
+
+  const ranges = [
+    { type: 'descent', startIdx: start, endIdx: descentEnd },
+    { type: 'bottom', startIdx: descentEnd, endIdx: ascentStart },
+  ];
+  let from = ascentStart;
+  for (const stop of findStops(samples, ascentStart, end, ceilings)) {
+    ranges.push({ type: 'ascent', startIdx: from, endIdx: stop.startIdx }, stop);
+    from = stop.endIdx;
+  }
+  ranges.push({ type: 'ascent', startIdx: from, endIdx: end });
+  return ranges;
+}
+
+// Depth of each sample averaged over SMOOTH_WINDOW around it
+function smoothedDepths(samples) {
+  const half = SMOOTH_WINDOW / 2;
+  let from = 0;
+  let to = -1;
+  let sum = 0;
+  return samples.map(s => {
+    while (to + 1 < samples.length && samples[to + 1].elapsed <= s.elapsed + half) sum += samples[++to].depth ?? 0;
+    while (samples[from].elapsed < s.elapsed - half) sum -= samples[from++].depth ?? 0;
+    return sum / (to - from + 1);
+  });
+}
+
+// Runs of at least MIN_STOP within STOP_BAND (on smoothed depth), kept when
+// they are a deco stop or in the safety stop band
+function findStops(samples, start, end, ceilings) {
+  const depth = smoothedDepths(samples);
+  const stops = [];
+  let i = start;
+  while (i < end) {
+    let lo = depth[i];
+    let hi = lo;
+    let j = i;
+    while (j < end && Math.max(hi, depth[j + 1]) - Math.min(lo, depth[j + 1]) <= STOP_BAND) {
+      j++;
+      lo = Math.min(lo, depth[j]);
+      hi = Math.max(hi, depth[j]);
+    }
+    if (samples[j].elapsed - samples[i].elapsed >= MIN_STOP && lo >= SURFACE_DEPTH) {
+      // Leave the approach and departure to the ascent
+      const level = depth.slice(i, j + 1).sort((a, b) => a - b)[(j - i) >> 1];
+      let first = i;
+      let last = j;
+      while (first < last && Math.abs(depth[first] - level) > STOP_BAND / 2) first++;
+      while (last > first && Math.abs(depth[last] - level) > STOP_BAND / 2) last--;
+      const deco = ceilings
+        ? ceilings.slice(first, last + 1).some(c => c > 0)
+        : level > SAFETY_STOP_MAX;
+      if (samples[last].elapsed - samples[first].elapsed >= MIN_STOP
+        && (deco || (level >= SAFETY_STOP_MIN && level <= SAFETY_STOP_MAX))) {
+        const type = deco ? 'deco_stop' : 'safety_stop';
+        const prev = stops[stops.length - 1];
+        // A stop drifting past the band is still one stop
+        if (prev?.type === type && Math.abs(prev.level - level) <= STOP_BAND
+          && samples[first].elapsed - samples[prev.endIdx].elapsed <= SMOOTH_WINDOW) prev.endIdx = last;
+        else stops.push({ type, startIdx: first, endIdx: last, level });
+        i = j;
+        continue;
+      }
+    }
+    i++;
+  }
+  return stops;
+}
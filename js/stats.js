@@ -0,0 +1,157 @@
+/**
+ * Logbook numbering and statistics computed from the stored dives,
+ * plus the charts of the statistics view.
+ */
+import { formatDuration } from './dive-data.js';
+
+const NUMBER_STORAGE_KEY = 'garmin-dive-first-number';
+const DEPTH_BIN = 5;  // m
+const TEMP_BIN = 2;   // °C
+
+let statsCharts = [];
+
+// Number of the oldest stored dive (paper logbooks start above 1)
+export function loadFirstNumber() {
+  const n = parseInt(localStorage.getItem(NUMBER_STORAGE_KEY), 10);
+  return n > 0 ? n : 1;
+}
+
+export function saveFirstNumber(n) {
+  localStorage.setItem(NUMBER_STORAGE_KEY, String(n));
+}
+
+/**
+ * Logbook number of each dive by id, counted in date order from `first`.
+ */
+export function numberDives(dives, first = loadFirstNumber()) {
+  const numbers = new Map();
+  [...dives]
+    .sort((a, b) => (a.startDate || 0) - (b.startDate || 0))
+    .forEach((d, i) => numbers.set(d.id, first + i));
+  return numbers;
+}
+
+function countBy(items, keyOf) {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (key != null) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+// Counts per bin of `size`, from 0 (or the lowest value) up to the highest one
+function histogram(values, size) {
+  if (values.length === 0) return [];
+  const lo = Math.min(0, Math.floor(Math.min(...values) / size));
+  const hi = Math.floor(Math.max(...values) / size);
+  const bins = [];
+  for (let b = lo; b <= hi; b++) {
+    bins.push({ from: b * size, to: (b + 1) * size, count: 0 });
+  }
+  values.forEach(v => { bins[Math.floor(v / size) - lo].count++; });
+  return bins;
+}
+
+const monthKey = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Totals and distributions over a set of dives.
+ */
+export function computeStats(dives) {
+  const dated = dives.filter(d => d.startDate);
+  const byDepth = [...dives].sort((a, b) => (b.maxDepth || 0) - (a.maxDepth || 0));
+  const byTime = [...dives].sort((a, b) => (b.totalTime || 0) - (a.totalTime || 0));
+
+  // Every month between the first and last dive, empty ones included
+  const perMonth = [];
+  if (dated.length) {
+    const months = countBy(dated, d => monthKey(d.startDate));
+    const times = dated.map(d => d.startDate.getTime());
+    const cursor = new Date(Math.min(...times));
+    cursor.setDate(1);
+    const last = monthKey(new Date(Math.max(...times)));
+    for (;;) {
+      const key = monthKey(cursor);
+      perMonth.push({ month: key, count: months.get(key) || 0 });
+      if (key === last) break;
+      cursor.setMonth(cursor.getMonth() + 1);
+    }
+  }
+
+  const perYear = [...countBy(dated, d => d.startDate.getFullYear())]
+    .map(([year, count]) => ({
+      year,
+      count,
+      totalTime: dated
+        .filter(d => d.startDate.getFullYear() === year)
+        .reduce((sum, d) => sum + (d.totalTime || 0), 0),
+    }))
+    .sort((a, b) => b.year - a.year);
+
+  const perSite = [...countBy(dives, d => d.log?.site?.trim() || null)]
+    .map(([site, count]) => ({ site, count }))
+    .sort((a, b) => b.count - a.count || a.site.localeCompare(b.site));
+
+  // Bottom time is only known for dives whose computer wrote a dive summary
+  const timed = dives.filter(d => d.bottomTime != null);
+
+  return {
+    count: dives.length,
+    totalTime: dives.reduce((sum, d) => sum + (d.totalTime || 0), 0), // s
+    bottomTime: timed.reduce((sum, d) => sum + d.bottomTime, 0),       // s
+    bottomTimeCount: timed.length,
+    deepest: byDepth[0] || null,
+    longest: byTime[0] || null,
+    perMonth,
+    perYear,
+    depthHistogram: histogram(dives.map(d => d.maxDepth).filter(v => v != null), DEPTH_BIN),
+    tempHistogram: histogram(dives.map(d => d.minTemp).filter(v => v != null), TEMP_BIN),
+    perSite,
+  };
+}
+
+export function formatTotalTime(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h} h ${m.toString().padStart(2, '0')}` : formatDuration(seconds);
+}
+
+// --- Statistics view charts ---
+function barChart(canvasId, labels, data, color) {
+  const canvas = document.getElementById(canvasId);
+  if (!canvas) return;
+  statsCharts.push(new Chart(canvas.getContext('2d'), {
+    type: 'bar',
+    data: {
+      labels,
+      datasets: [{ data, backgroundColor: color, borderWidth: 0 }],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      scales: {
+        y: { beginAtZero: true, ticks: { color: '#8899aa', precision: 0 }, grid: { color: '#ffffff10' } },
+        x: { ticks: { color: '#8899aa', maxTicksLimit: 12 }, grid: { display: false } },
+      },
+      plugins: {
+        legend: { display: false },
+      },
+    },
+  }));
+}
+
+export function renderStatsCharts(stats) {
+  destroyStatsCharts();
+  barChart('chart-stats-months', stats.perMonth.map(m => m.month), stats.perMonth.map(m => m.count), '#00b4d8');
+  barChart('chart-stats-depth', stats.depthHistogram.map(b => `${b.from}-${b.to} m`),
+    stats.depthHistogram.map(b => b.count), '#06d6a0');
+  barChart('chart-stats-temp', stats.tempHistogram.map(b => `${b.from}-${b.to} °C`),
+    stats.tempHistogram.map(b => b.count), '#ffd166');
+}
+
+export function destroyStatsCharts() {
+  statsCharts.forEach(c => c.destroy());
+  statsCharts = [];
+}
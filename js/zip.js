@@ -0,0 +1,78 @@
+/**
+ * Minimal ZIP reader for bulk exports: stored and deflated entries, read
+ * from the central directory. Inflating uses the browser DecompressionStream.
+ * No ZIP64, no encryption.
+ */
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT = 0xFFFF;
+
+export function isZip(buffer) {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === LOCAL_SIG;
+}
+
+function findEndOfCentralDirectory(view) {
+  const stop = Math.max(0, view.byteLength - EOCD_MIN_SIZE - MAX_COMMENT);
+  for (let pos = view.byteLength - EOCD_MIN_SIZE; pos >= stop; pos--) {
+    if (view.getUint32(pos, true) === EOCD_SIG) return pos;
+  }
+  throw new Error('ZIP end of central directory not found');
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).arrayBuffer();
+}
+
+// MS-DOS date and time fields (local time, 2 s steps); null when unset
+function dosDateTime(date, time) {
+  if (date === 0) return null;
+  return new Date(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F,
+    time >> 11, (time >> 5) & 0x3F, (time & 0x1F) * 2);
+}
+
+/**
+ * Files of a ZIP archive as [{ name, modified: Date or null, data:
+ * ArrayBuffer }], folders skipped.
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+  const eocd = findEndOfCentralDirectory(view);
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_SIG) throw new Error(`Bad ZIP central header at byte ${pos}`);
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const modified = dosDateTime(view.getUint16(pos + 14, true), view.getUint16(pos + 12, true));
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entry ${name}`);
+    if (compressedSize === 0xFFFFFFFF) throw new Error(`ZIP64 entry ${name} not supported`);
+
+    if (view.getUint32(localOffset, true) !== LOCAL_SIG) throw new Error(`Bad ZIP local header for ${name}`);
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const bytes = new Uint8Array(buffer, dataStart, compressedSize);
+
+    let data;
+    if (method === 0) data = bytes.slice().buffer;
+    else if (method === 8) data = await inflateRaw(bytes);
+    else throw new Error(`ZIP compression method ${method} not supported (${name})`);
+    entries.push({ name, modified, data });
+  }
+  return entries;
+}
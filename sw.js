@@ -1,11 +1,25 @@
-const CACHE_NAME = 'garmin-dive-v1.5';
+const CACHE_NAME = 'garmin-dive-v1.46';
 const ASSETS = [
   './',
   './index.html',
   './css/style.css',
   './js/app.js',
   './js/fit-parser.js',
+  './js/fit-profile.js',
   './js/dive-data.js',
+  './js/deco.js',
+  './js/consumption.js',
+  './js/stats.js',
+  './js/filters.js',
+  './js/backup.js',
+  './js/zip.js',
+  './js/duplicates.js',
+  './js/interchange.js',
+  './js/pdf.js',
+  './js/logbook-print.js',
+  './js/compare.js',
+  './js/ascent.js',
+  './js/phases.js',
   './js/charts.js',
   './manifest.json',
 ];
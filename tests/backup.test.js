@@ -0,0 +1,26 @@
+/**
+ * Logbook backup: a backup of dated and undated dives restores them as
+ * they were, settings included.
+ */
+import { test, assertEqual, assertDeepEqual, fixture } from './runner.js';
+import { extractDivesFromBuffer } from '../js/dive-data.js';
+import { buildBackup, parseBackup } from '../js/backup.js';
+
+test('backup round trip keeps dated and undated dives', async () => {
+  const [dated] = extractDivesFromBuffer(await fixture('../test.fit'));
+  Object.assign(dated, { id: 1, fileId: 3, log: { site: 'Niou', tags: ['épave'] } });
+  const undated = { ...dated, id: 2, fileId: undefined, startDate: null, log: { site: 'Roc' } };
+  const settings = { 'garmin-dive-first-number': '42' };
+
+  const restored = parseBackup(buildBackup([dated, undated], settings));
+  assertDeepEqual(restored.settings, settings, 'settings');
+  assertEqual(restored.dives.length, 2, 'dives');
+  const [a, b] = restored.dives;
+  assertEqual(a.startDate.getTime(), dated.startDate.getTime(), 'start time');
+  assertEqual(b.startDate, null, 'undated dive');
+  assertEqual(a.samples.length, dated.samples.length, 'samples');
+  assertDeepEqual(a.log, dated.log, 'log');
+  assertDeepEqual(b.log, { site: 'Roc' }, 'undated log');
+  assertEqual(a.id, undefined, 'id dropped');
+  assertEqual(a.fileId, undefined, 'FIT binary link dropped');
+});
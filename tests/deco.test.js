@@ -0,0 +1,80 @@
+/**
+ * computeDeco against square air profiles at sea level (1.01325 bar,
+ * EN13319 water). Expected values are worked by hand from the published
+ * ZHL-16C coefficients (Bühlmann, Tauchmedizin 2002) with the closed-form
+ * equations of Baker's "Understanding M-values": Haldane loading at
+ * constant depth, tolerated ambient pressure (P - a·GF) / (GF/b + 1 - GF),
+ * and the no-stop time t = -τ/ln2 · ln((Pi - M0) / (Pi - P)).
+ */
+import { test, assert, assertEqual, assertClose } from './runner.js';
+import { computeDeco } from '../js/deco.js';
+
+// `minutes` at `depth` on air, reached instantly, one sample every 10 s
+function squareDive(depth, minutes, gfLow, gfHigh) {
+  return {
+    settings: { gfLow, gfHigh },
+    gases: [],
+    events: [],
+    samples: Array.from({ length: minutes * 6 + 1 }, (_, i) => ({ elapsed: i * 10, depth })),
+  };
+}
+
+const last = result => result.points[result.points.length - 1];
+
+test('tissue N2 loading follows the Haldane equation (30 m, 20 min)', () => {
+  const { n2 } = last(computeDeco(squareDive(30, 20, 100, 100)));
+  assertClose(n2[0], 2.9734, 0.0005, 'compartment 1 (5 min)');
+  assertClose(n2[4], 1.7029, 0.0005, 'compartment 5 (27 min)');
+  assertClose(n2[15], 0.8021, 0.0005, 'compartment 16 (635 min)');
+});
+
+test('tissue N2 loading (40 m, 25 min)', () => {
+  const { n2 } = last(computeDeco(squareDive(40, 25, 100, 100)));
+  assertClose(n2[0], 3.8130, 0.0005, 'compartment 1');
+  assertClose(n2[4], 2.2481, 0.0005, 'compartment 5');
+  assertClose(n2[15], 0.8360, 0.0005, 'compartment 16');
+});
+
+test('ceiling at GF 100/100', () => {
+  assertClose(last(computeDeco(squareDive(30, 20, 100, 100))).ceiling, 0.957, 0.01, '30 m, 20 min');
+  assertClose(last(computeDeco(squareDive(30, 40, 100, 100))).ceiling, 4.323, 0.01, '30 m, 40 min');
+  assertClose(last(computeDeco(squareDive(40, 25, 100, 100))).ceiling, 6.473, 0.01, '40 m, 25 min');
+});
+
+test('ceiling at GF 30/85 sits on GF low while on the bottom', () => {
+  assertClose(last(computeDeco(squareDive(30, 20, 30, 85))).ceiling, 11.051, 0.01, '30 m, 20 min');
+  assertClose(last(computeDeco(squareDive(30, 40, 30, 85))).ceiling, 13.538, 0.01, '30 m, 40 min');
+  assertClose(last(computeDeco(squareDive(40, 25, 30, 85))).ceiling, 17.862, 0.01, '40 m, 25 min');
+});
+
+test('NDL on arrival, rounded up to the minute', () => {
+  // Exact no-stop times (min) at GF high 100 / 85 / 70:
+  // 18 m 59.80 / 43.58 / 29.06, 30 m 16.53 / 12.29 / 8.52, 40 m 8.86 / 6.86 / 5.29
+  const ndl = (depth, gfLow, gfHigh) => computeDeco(squareDive(depth, 1, gfLow, gfHigh)).points[0].ndl;
+  assertEqual(ndl(18, 100, 100), 60, '18 m GF 100');
+  assertEqual(ndl(18, 30, 85), 44, '18 m GF 85');
+  assertEqual(ndl(18, 70, 70), 30, '18 m GF 70');
+  assertEqual(ndl(30, 100, 100), 17, '30 m GF 100');
+  assertEqual(ndl(30, 30, 85), 13, '30 m GF 85');
+  assertEqual(ndl(30, 70, 70), 9, '30 m GF 70');
+  assertEqual(ndl(40, 100, 100), 9, '40 m GF 100');
+  assertEqual(ndl(40, 30, 85), 7, '40 m GF 85');
+  assertEqual(ndl(40, 70, 70), 6, '40 m GF 70');
+  // 12 m: 182 min at GF 100 is past the 99 min display limit; 85.65 at GF 70
+  assertEqual(ndl(12, 100, 100), null, '12 m GF 100');
+  assertEqual(ndl(12, 70, 70), 86, '12 m GF 70');
+});
+
+test('NDL counts down on the bottom and a ceiling replaces it', () => {
+  const { points } = computeDeco(squareDive(30, 20, 100, 100));
+  assertEqual(points[6 * 10].ndl, 7, 'after 10 min');
+  assert(points[points.length - 1].ceiling > 0, 'ceiling after 20 min');
+  assertEqual(points[points.length - 1].ndl, 0, 'NDL once in deco');
+});
+
+test('GF99 on surfacing after 30 m for 20 min', () => {
+  const dive = squareDive(30, 20, 100, 100);
+  dive.samples.push({ elapsed: 20 * 60 + 1, depth: 0 });
+  // Leading compartment: (P - Pamb) / (M0 - Pamb) = 109.5 %
+  assertClose(last(computeDeco(dive)).gf99, 109.5, 0.5);
+});
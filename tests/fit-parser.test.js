@@ -0,0 +1,123 @@
+/**
+ * parseFIT: compressed-timestamp headers, on test.fit and on a hand-built
+ * file whose 5-bit time offset rolls over; developer fields and their
+ * developer_data_id.
+ */
+import { test, assert, assertEqual, assertDeepEqual, fixture } from './runner.js';
+import { parseFIT, fitCrc16, resolveCompressedTimestamp } from '../js/fit-parser.js';
+import { extractDivesFromBuffer } from '../js/dive-data.js';
+
+const RECORD = 20;
+const FIELD_DESCRIPTION = 206;
+const DEVELOPER_DATA_ID = 207;
+const UINT8 = 0x02;
+const STRING = 0x07;
+const BYTE = 0x0D;
+const UINT16 = 0x84;
+const UINT32 = 0x86;
+
+const u16 = v => [v & 0xFF, (v >> 8) & 0xFF];
+const u32 = v => [v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, (v >>> 24) & 0xFF];
+const str = (text, size) => [...text].map(c => c.charCodeAt(0)).concat(Array(size).fill(0)).slice(0, size);
+
+// Definition message: `fields` and `devFields` are [number, size, base type
+// or developer data index] triples
+function definition(local, mesgNum, fields, devFields = null) {
+  const bytes = [0x40 | (devFields ? 0x20 : 0) | local, 0, 0, ...u16(mesgNum), fields.length, ...fields.flat()];
+  if (devFields) bytes.push(devFields.length, ...devFields.flat());
+  return bytes;
+}
+
+// FIT file around the message bytes `body`, with both CRCs
+function fitFile(body) {
+  const header = [14, 0x20, ...u16(2132), ...u32(body.length), ...str('.FIT', 4), 0, 0];
+  const bytes = new Uint8Array(header.length + body.length + 2);
+  bytes.set(header);
+  bytes.set(body, header.length);
+  bytes.set(u16(fitCrc16(bytes, 0, 12)), 12);
+  bytes.set(u16(fitCrc16(bytes, 0, header.length + body.length)), header.length + body.length);
+  return bytes.buffer;
+}
+
+/**
+ * FIT file of `records`: { timestamp } for a normal header, { offset } for
+ * a compressed-timestamp header. Each record also carries a depth (mm).
+ */
+function buildFit(records) {
+  // Local 0: timestamp + depth, local 1: depth only (for compressed headers)
+  const body = [
+    ...definition(0, RECORD, [[253, 4, UINT32], [92, 4, UINT32]]),
+    ...definition(1, RECORD, [[92, 4, UINT32]]),
+  ];
+  records.forEach((r, i) => {
+    const depth = u32(1000 * (i + 1));
+    if (r.timestamp != null) body.push(0x00, ...u32(r.timestamp), ...depth);
+    else body.push(0x80 | (1 << 5) | r.offset, ...depth);
+  });
+  return fitFile(body);
+}
+
+const recordsOf = parsed => parsed.messages.filter(m => m._mesgNum === RECORD);
+
+test('resolveCompressedTimestamp adds the offset within the 32 s window', () => {
+  assertEqual(resolveCompressedTimestamp(1000, 1000 & 0x1F), 1000);
+  assertEqual(resolveCompressedTimestamp(0x3C0 + 29, 30), 0x3C0 + 30);
+});
+
+test('resolveCompressedTimestamp rolls over when the offset wraps', () => {
+  // Low bits 29 then 0: 3 s later, in the next 32 s window
+  assertEqual(resolveCompressedTimestamp(0x3C0 + 29, 0), 0x3C0 + 32);
+});
+
+test('parseFIT rebuilds field 253 for compressed headers across a rollover', () => {
+  const start = 0x3C0 + 29; // low 5 bits: 29
+  const parsed = parseFIT(buildFit([{ timestamp: start }, { offset: 30 }, { offset: 0 }, { offset: 2 }]));
+  const records = recordsOf(parsed);
+  assertEqual(records.length, 4, 'records');
+  assert(records.every(r => typeof r.timestamp === 'number'), 'every record has a timestamp');
+  assertDeepEqual(records.map(r => r.timestamp - start), [0, 1, 3, 5], 'elapsed');
+  assertDeepEqual(records.map(r => r.depth), [1, 2, 3, 4], 'depths');
+});
+
+test('parseFIT leaves compressed records before any full timestamp without one', () => {
+  const parsed = parseFIT(buildFit([{ offset: 4 }, { timestamp: 0x3C0 + 6 }, { offset: 8 }]));
+  assertDeepEqual(recordsOf(parsed).map(r => r.timestamp ?? null), [null, 0x3C0 + 6, 0x3C0 + 8]);
+});
+
+test('test.fit: every record has a timestamp and elapsed times rise', async () => {
+  const buffer = await fixture('../test.fit');
+  const records = recordsOf(parseFIT(buffer));
+  assert(records.length > 100, 'records');
+  assert(records.every(r => Number.isFinite(r.timestamp)), 'every record has a timestamp');
+  for (let i = 1; i < records.length; i++) {
+    assert(records[i].timestamp > records[i - 1].timestamp, `timestamp rises at record ${i}`);
+  }
+
+  const [dive] = extractDivesFromBuffer(buffer);
+  assertEqual(dive.samples[0].elapsed, 0, 'first elapsed');
+  assert(dive.samples.every((s, i) => Number.isFinite(s.elapsed) && (i === 0 || s.elapsed > dive.samples[i - 1].elapsed)),
+    'elapsed is a number and rises');
+});
+
+test('parseFIT decodes developer fields of declared applications only', () => {
+  const appId = Array.from({ length: 16 }, (_, i) => i);
+  const body = [
+    ...definition(2, DEVELOPER_DATA_ID, [[1, 16, BYTE], [3, 1, UINT8], [4, 4, UINT32]]),
+    0x02, ...appId, 0, ...u32(3),
+    ...definition(3, FIELD_DESCRIPTION, [[0, 1, UINT8], [1, 1, UINT8], [2, 1, UINT8], [3, 16, STRING], [8, 8, STRING]]),
+    0x03, 0, 0, UINT16, ...str('Tank', 16), ...str('bar', 8),
+    // Index 5 has no developer_data_id
+    0x03, 5, 1, UINT16, ...str('Ghost', 16), ...str('', 8),
+    ...definition(0, RECORD, [[253, 4, UINT32]], [[0, 2, 0], [1, 2, 5]]),
+    0x00, ...u32(1000), ...u16(200), ...u16(7),
+  ];
+  const parsed = parseFIT(fitFile(body));
+  const [record] = recordsOf(parsed);
+  assertDeepEqual(record.developer, { dev_0_0: 200 }, 'record values');
+  assertEqual(parsed.developerFields.length, 1, 'descriptions');
+  const [field] = parsed.developerFields;
+  assertEqual(field.name, 'Tank');
+  assertEqual(field.units, 'bar');
+  assertEqual(field.applicationId, '000102030405060708090a0b0c0d0e0f');
+  assertEqual(field.applicationVersion, 3);
+});
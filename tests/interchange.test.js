@@ -0,0 +1,61 @@
+/**
+ * UDDF and Subsurface XML: exporting the dive of test.fit and reading the
+ * file back keeps its start time, depth/time profile, gases and log.
+ */
+import { test, assert, assertEqual, assertDeepEqual, assertClose, fixture } from './runner.js';
+import { extractDivesFromBuffer } from '../js/dive-data.js';
+import { exportUddf, parseUddf, exportSubsurface, parseSubsurface } from '../js/interchange.js';
+
+async function fitDive() {
+  const [dive] = extractDivesFromBuffer(await fixture('../test.fit'));
+  dive.id = 1;
+  dive.log = { site: 'Tombant <Est> & co', buddy: 'Sam', rating: 4, tags: ['épave', 'nuit'] };
+  return dive;
+}
+
+const gasesOf = dive => dive.gases
+  .filter(g => g.o2 != null && g.status !== 'disabled')
+  .map(g => ({ o2: g.o2, he: g.he || 0 }));
+
+function assertSameProfile(back, dive) {
+  assertEqual(back.startDate?.getTime(), dive.startDate.getTime(), 'start time');
+  assertEqual(back.samples.length, dive.samples.length, 'samples');
+  dive.samples.forEach((s, i) => {
+    assertEqual(back.samples[i].elapsed, s.elapsed, `time of sample ${i}`);
+    // Depths are written to the centimetre
+    assertClose(back.samples[i].depth, s.depth ?? 0, 0.006, `depth of sample ${i}`);
+  });
+  assertDeepEqual(gasesOf(back), gasesOf(dive), 'gases');
+}
+
+test('UDDF round trip keeps the start time, profile, gases and log', async () => {
+  const dive = await fitDive();
+  const dives = parseUddf(exportUddf([dive], new Map([[1, 12]])));
+  assertEqual(dives.length, 1, 'dives');
+  const [back] = dives;
+  assertSameProfile(back, dive);
+  assertEqual(back.log.site, dive.log.site, 'site');
+  assertEqual(back.log.buddy, 'Sam', 'buddy');
+  assertEqual(back.serialNumber, dive.serialNumber, 'serial');
+});
+
+test('Subsurface round trip keeps the start time, profile, gases and log', async () => {
+  const dive = await fitDive();
+  const dives = parseSubsurface(exportSubsurface([dive], new Map([[1, 12]])));
+  assertEqual(dives.length, 1, 'dives');
+  const [back] = dives;
+  assertSameProfile(back, dive);
+  assertEqual(back.log.site, dive.log.site, 'site');
+  assertDeepEqual(back.log.tags, dive.log.tags, 'tags');
+  assertEqual(back.log.rating, 4, 'rating');
+});
+
+test('undated dives export without a date and read back undated', async () => {
+  const dive = { ...(await fitDive()), startDate: null };
+  const uddf = exportUddf([dive]);
+  assertEqual(uddf.split('<datetime>').length - 1, 1, 'only the generator <datetime>');
+  assertEqual(parseUddf(uddf)[0].startDate, null, 'UDDF');
+  const ssrf = exportSubsurface([dive]);
+  assert(!/<dive [^>]*date=/.test(ssrf), 'no date attribute');
+  assertEqual(parseSubsurface(ssrf)[0].startDate, null, 'Subsurface');
+});
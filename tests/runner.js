@@ -0,0 +1,77 @@
+/**
+ * Minimal in-browser test runner, so the tests need no build or package
+ * install. Serve the repository root (for example `python3 -m http.server`)
+ * and open /tests/: every test module registers its cases with `test()`,
+ * then `run()` lists the results on the page and in the console.
+ */
+
+const cases = [];
+
+export function test(name, fn) {
+  cases.push({ name, fn });
+}
+
+export class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+export function assert(condition, message = 'Assertion failed') {
+  if (!condition) throw new AssertionError(message);
+}
+
+export function assertEqual(actual, expected, message = '') {
+  if (!Object.is(actual, expected)) {
+    throw new AssertionError(`${message ? `${message}: ` : ''}expected ${expected}, got ${actual}`);
+  }
+}
+
+export function assertDeepEqual(actual, expected, message = '') {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) throw new AssertionError(`${message ? `${message}: ` : ''}expected ${e}, got ${a}`);
+}
+
+export function assertClose(actual, expected, tolerance, message = '') {
+  if (!(Math.abs(actual - expected) <= tolerance)) {
+    throw new AssertionError(`${message ? `${message}: ` : ''}expected ${expected} ± ${tolerance}, got ${actual}`);
+  }
+}
+
+// ArrayBuffer of a file, relative to the tests directory
+export async function fixture(path) {
+  const res = await fetch(new URL(path, import.meta.url));
+  if (!res.ok) throw new Error(`Cannot load ${path}: ${res.status}`);
+  return res.arrayBuffer();
+}
+
+/**
+ * Run the registered cases in order. Results go to `container` when given.
+ * Resolves to { passed, failed: [{ name, error }] }.
+ */
+export async function run(container = null) {
+  const failed = [];
+  let passed = 0;
+  for (const { name, fn } of cases) {
+    let error = null;
+    try {
+      await fn();
+      passed++;
+    } catch (err) {
+      error = err;
+      failed.push({ name, error: err });
+    }
+    if (error) console.error(`✗ ${name}\n`, error);
+    else console.log(`✓ ${name}`);
+    if (container) {
+      const row = document.createElement('li');
+      row.className = error ? 'fail' : 'pass';
+      row.textContent = `${error ? '✗' : '✓'} ${name}${error ? ` — ${error.message}` : ''}`;
+      container.appendChild(row);
+    }
+  }
+  console.log(`${passed} passed, ${failed.length} failed`);
+  return { passed, failed };
+}